@@ -5,52 +5,73 @@
  */
 
 // ===== DOM CONTENT LOADED =====
-document.addEventListener('DOMContentLoaded', function() {
-    initializeApp();
-});
+// script.js is also loaded by the generated blog pages and required by the
+// Node build scripts, so only boot the app where the homepage markup exists.
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        if (document.getElementById('hero')) {
+            initializeApp();
+        }
+    });
+}
 
 async function initializeApp() {
+    // Pick the locale before rendering so every string comes out translated.
+    // config.json names the locales, so it is fetched once and shared.
+    const configRequest = fetchJsonFile('data/config.json');
+    await initI18n(configRequest);
+
+    // Offline banner and service worker, so a failed load below is explained
+    initOfflineSupport();
+
     // Load all dynamic content first
-    await loadAllData();
+    await loadAllData(configRequest);
 
     // Initialize all modules after content is loaded
     initNavigation();
+    initScrollSpy();
+    initLanguageSwitcher();
     initThemeToggle();
     initTimelineAccordions();
     initProjectLightbox();
+    initProjectFilters();
     initBlogSearch(); // Keeps its own data loading logic for now
     initPublicationFilters();
+    initPublicationCitations();
+    initCvExport();
     initBackToTop();
     initFormHandling();
     initLazyLoading();
     initKeyboardNavigation();
     initScrollAnimations();
 
+    // Restore deep-linked state once every feature has registered its route
+    initRouter();
+
     // Performance: Preload critical resources
     preloadCriticalResources();
-
-    // Initialize meta tag updates
-    updateMetaTags();
-    window.addEventListener('scroll', updateMetaTags);
-    window.addEventListener('resize', updateMetaTags);
 }
 
 // ===== DATA LOADING & RENDERING =====
-async function loadAllData() {
+async function loadAllData(configRequest) {
     try {
-        const [configRes, educationRes, experienceRes, projectsRes, publicationsRes] = await Promise.all([
-            fetch('data/config.json'),
-            fetch('data/education.json'),
-            fetch('data/experience.json'),
-            fetch('data/projects.json'),
-            fetch('data/publications.json')
-        ]);
-
-        const config = await configRes.json();
-        const education = await educationRes.json();
-        const experience = await experienceRes.json();
-        const projects = await projectsRes.json();
-        const publications = await publicationsRes.json();
+        const repoMetadataRequest = loadRepoMetadata();
+        const [config, education, experience, projects, publications] = await Promise.all(
+            Object.keys(DATA_SCHEMAS).map(file =>
+                fetchLocalizedData(file, file === 'data/config.json' ? configRequest : undefined))
+        );
+        repoMetadata = await repoMetadataRequest;
+
+        // Catch malformed data before the renderers trip over it
+        if (isDevMode()) {
+            reportDataErrors(await validateSiteData({
+                'data/config.json': config,
+                'data/education.json': education,
+                'data/experience.json': experience,
+                'data/projects.json': projects,
+                'data/publications.json': publications
+            }));
+        }
 
         renderHero(config);
         renderAbout(config);
@@ -58,11 +79,28 @@ async function loadAllData() {
         renderEducation(education);
         renderExperience(experience);
         renderProjects(projects);
-        renderPublications(publications);
+        renderPublications(publications, config);
+        setSeoSettings(config);
+        setThemeOptions(config.theme);
+        blogListSettings = { ...BLOG_LIST_DEFAULTS, ...config.blogs };
+        cvData = { config, education, experience, projects, publications };
+
+        // Relative links resolve against the page when there is no siteUrl
+        injectJsonLd(SITE_JSON_LD_ID, buildSiteJsonLd(
+            { ...config, siteUrl: config.siteUrl || new URL('.', window.location.href).href },
+            publications,
+            projects
+        ));
 
     } catch (error) {
         console.error('Error loading data:', error);
-        // Handle error (e.g., show offline message)
+        addToDataErrorOverlay([{ file: error.file || 'script.js', path: '$', message: error.message }]);
+        showSiteBanner({
+            id: 'load-error-banner',
+            message: t(navigator.onLine ? 'offline.loadFailed' : 'offline.notSaved'),
+            actionLabel: t('offline.retry'),
+            onAction: () => window.location.reload()
+        });
     }
 }
 
@@ -77,7 +115,7 @@ function renderHero(config) {
     if (config.images && config.images.profile) {
         const img = document.createElement('img');
         img.src = config.images.profile;
-        img.alt = `${config.name} - Professional Headshot`;
+        img.alt = t('hero.photoAlt', { name: config.name });
         img.className = 'profile-photo';
         img.loading = 'eager';
         profileContainer.appendChild(img);
@@ -104,21 +142,21 @@ function renderAbout(config) {
     let socialLinksHtml = '';
     if (config.social) {
         socialLinksHtml = config.social.map(link => `
-            <a href="${link.url}" target="_blank" rel="noopener" aria-label="${link.name} Profile">
+            <a href="${link.url}" target="_blank" rel="noopener" aria-label="${t('about.socialProfile', { name: link.name })}">
                 <span class="social-icon">${link.icon}</span> ${link.name}
             </a>
         `).join('');
     }
 
     personalInfo.innerHTML = `
-        <h3>Contact Information</h3>
+        <h3>${t('about.contactInfo')}</h3>
         <ul class="contact-list">
-            <li><strong>Email:</strong> <a href="mailto:${config.email}">${config.email}</a></li>
-            <li><strong>Location:</strong> ${config.location}</li>
-            <li><strong>Phone:</strong> <a href="tel:${config.phone.replace(/\D/g,'')}">${config.phone}</a></li>
+            <li><strong>${t('about.email')}</strong> <a href="mailto:${config.email}">${config.email}</a></li>
+            <li><strong>${t('about.location')}</strong> ${config.location}</li>
+            <li><strong>${t('about.phone')}</strong> <a href="tel:${config.phone.replace(/\D/g,'')}">${config.phone}</a></li>
         </ul>
 
-        <h3>Social Links</h3>
+        <h3>${t('about.socialLinks')}</h3>
         <div class="social-links">
             ${socialLinksHtml}
         </div>
@@ -129,7 +167,7 @@ function renderAbout(config) {
     if (config.images && config.images.about) {
         const img = document.createElement('img');
         img.src = config.images.about;
-        img.alt = `About ${config.name}`;
+        img.alt = t('about.photoAlt', { name: config.name });
         img.className = 'about-photo';
         aboutImageContainer.appendChild(img);
     }
@@ -142,6 +180,7 @@ function renderEducation(education) {
         const el = document.createElement('div');
         el.className = 'timeline-item';
         el.setAttribute('data-expanded', 'false');
+        el.setAttribute('data-slug', slugify(item.title));
 
         const detailsHtml = item.details.map(detail => {
             if (detail.startsWith('Thesis:') || detail.startsWith('Research') || detail.startsWith('Teaching')) {
@@ -194,6 +233,7 @@ function renderExperience(experience) {
         const el = document.createElement('div');
         el.className = 'timeline-item';
         el.setAttribute('data-expanded', 'false');
+        el.setAttribute('data-slug', slugify(item.title));
         
         // Work experience usually has a description (first item) and then bullets.
         // JSON: "details": ["Led dev...", "Architected...", ...]
@@ -235,26 +275,41 @@ function renderExperience(experience) {
 
 function renderProjects(projects) {
     const grid = document.getElementById('projects-grid');
-    
-    projects.forEach(project => {
+
+    // Filtered and sorted by initProjectFilters from the same data
+    projectData = projects;
+    projects.forEach((project, index) => {
+        const slug = slugify(project.title);
         const el = document.createElement('div');
         el.className = 'project-card';
+        el.setAttribute('data-slug', slug);
+        el.setAttribute('data-index', index);
         
-        const techTags = project.technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('');
+        const techTags = project.technologies.map(tech => `
+            <button type="button" class="tech-tag" data-tech="${escapeHtml(tech)}" aria-pressed="false"
+                    title="${escapeHtml(t('projects.filterBy', { tech }))}">${escapeHtml(tech)}</button>
+        `).join('');
+        const gallery = projectGalleryItems(project);
+        projectGalleries[slug] = { title: project.title, items: gallery };
         
         el.innerHTML = `
             <div class="project-image">
-                <img src="${project.image}" alt="${project.title}" class="project-img" loading="lazy">
+                <button type="button" class="project-gallery-open" aria-haspopup="dialog"
+                        aria-label="${escapeHtml(t('projects.openGallery', { title: project.title }))}">
+                    <img src="${project.image}" alt="" class="project-img" loading="lazy">${gallery.length > 1 ? `
+                    <span class="project-gallery-count" aria-hidden="true">🖼️ ${gallery.length}</span>` : ''}
+                </button>
                 <div class="project-overlay">
                     <div class="project-links">
-                        <a href="${project.links.demo}" class="project-link" aria-label="View live demo">🔗 Live Demo</a>
-                        <a href="${project.links.code}" target="_blank" rel="noopener" class="project-link" aria-label="View GitHub repo">💻 Code</a>
+                        <a href="${project.links.demo}" class="project-link" aria-label="${t('projects.demoAria')}">${t('projects.liveDemo')}</a>
+                        <a href="${project.links.code}" target="_blank" rel="noopener" class="project-link" aria-label="${t('projects.codeAria')}">${t('projects.code')}</a>
                     </div>
                 </div>
             </div>
             <div class="project-content">
                 <h3 class="project-title">${project.title}</h3>
                 <p class="project-description">${project.description}</p>
+                ${renderRepoBadges(projectRepoMetadata(project))}
                 <div class="project-tech">
                     ${techTags}
                 </div>
@@ -264,39 +319,35 @@ function renderProjects(projects) {
     });
 }
 
-function renderPublications(publications) {
+function renderPublications(publications, config) {
     const list = document.getElementById('publications-list');
-    const filtersContainer = document.getElementById('publication-filters');
-    
-    // Extract unique years for filters
-    const years = [...new Set(publications.map(p => {
-        // Extract year from date string (e.g., "July 2023" -> "2023")
-        const match = p.date.match(/\d{4}/);
-        return match ? match[0] : '';
-    }))].filter(y => y).sort().reverse();
 
-    // Render filters
-    let filtersHtml = `<button class="filter-btn active" data-filter="all">All</button>`;
-    years.forEach(year => {
-        filtersHtml += `<button class="filter-btn" data-filter="${year}">${year}</button>`;
-    });
-    filtersContainer.innerHTML = filtersHtml;
+    // Filters are rendered by initPublicationFilters from the same data
+    publicationOwner = config.name;
 
     // Render items
-    publications.forEach(pub => {
+    publicationData = publications;
+    publications.forEach((pub, index) => {
         const year = pub.date.match(/\d{4}/) ? pub.date.match(/\d{4}/)[0] : '';
         const el = document.createElement('div');
         el.className = 'publication-item';
         el.setAttribute('data-year', year);
         el.setAttribute('data-category', pub.category);
+        el.setAttribute('data-index', index);
         
         let linksHtml = '';
+        let citationHtml = '';
         if (pub.links) {
             for (const [key, url] of Object.entries(pub.links)) {
                 let icon = '🔗';
                 let label = key.toUpperCase();
                 if (key === 'pdf') icon = '📄';
-                if (key === 'cite') icon = '📚';
+                if (key === 'cite') {
+                    // The cite link opens a citation menu built from the entry itself
+                    linksHtml += `<button type="button" class="publication-link cite-toggle" aria-expanded="false" aria-controls="citation-menu-${index}">📚 ${label}</button>`;
+                    citationHtml = renderCitationMenu(index);
+                    continue;
+                }
                 
                 linksHtml += `<a href="${url}" class="publication-link" aria-label="${label}">${icon} ${label}</a>`;
             }
@@ -307,10 +358,11 @@ function renderPublications(publications) {
                 <h3 class="publication-title">${pub.title}</h3>
                 <p class="publication-authors">${pub.authors}</p>
                 <p class="publication-venue">${pub.venue}</p>
-                <p class="publication-date">${pub.date}</p>
+                <p class="publication-date">${formatDisplayDate(pub.date)}</p>
                 <div class="publication-links">
                     ${linksHtml}
                 </div>
+                ${citationHtml}
             </div>
         `;
         list.appendChild(el);
@@ -319,57 +371,620 @@ function renderPublications(publications) {
 
 function renderContact(config) {
     const contactInfo = document.getElementById('contact-info');
+
+    // initFormHandling sends through these
+    contactFormSettings = {
+        ...CONTACT_FORM_DEFAULTS,
+        ...config.contactForm,
+        rateLimit: { ...CONTACT_FORM_DEFAULTS.rateLimit, ...(config.contactForm && config.contactForm.rateLimit) },
+        validation: mergeContactValidation(config.contactForm && config.contactForm.validation),
+        email: config.email
+    };
+
     contactInfo.innerHTML = `
         <div class="contact-item">
-            <h3>📧 Email</h3>
+            <h3>${t('contact.email')}</h3>
             <p><a href="mailto:${config.email}">${config.email}</a></p>
         </div>
         <div class="contact-item">
-            <h3>📍 Location</h3>
+            <h3>${t('contact.location')}</h3>
             <p>${config.location}</p>
         </div>
         <div class="contact-item">
-            <h3>📱 Phone</h3>
+            <h3>${t('contact.phone')}</h3>
             <p><a href="tel:${config.phone.replace(/\D/g,'')}">${config.phone}</a></p>
         </div>
         <div class="contact-item">
-            <h3>🕒 Response Time</h3>
+            <h3>${t('contact.responseTime')}</h3>
             <p>${config.responseTime}</p>
         </div>
     `;
 }
 
-function updateMetaTags() {
-    // Get all sections
-    const sections = document.querySelectorAll('section[id]');
-    let currentSection = null;
-    let maxVisibleArea = 0;
+// ===== DATA VALIDATION =====
+// Every data file has a JSON schema in schemas/. The same validator backs the
+// dev-mode error overlay here and scripts/validate-data.js.
+const DATA_SCHEMAS = {
+    'data/config.json': 'schemas/config.schema.json',
+    'data/education.json': 'schemas/education.schema.json',
+    'data/experience.json': 'schemas/experience.schema.json',
+    'data/projects.json': 'schemas/projects.schema.json',
+    'data/publications.json': 'schemas/publications.schema.json'
+};
+const BLOG_POST_SCHEMA = 'schemas/blog-post.schema.json';
+
+let dataValidationErrors = [];
+const schemaCache = {};
+
+// Validates a value against the JSON Schema keywords our schemas use.
+// Returns a list of { path, message } where path is a JSON path ("$.social[0].url").
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesJsonType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${describeJsonType(value)}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `does not match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, formatJsonPath(path, index)));
+            });
+        }
+    } else if (value !== null && typeof value === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: formatJsonPath(path, key), message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = formatJsonPath(path, key);
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed property' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, childPath));
+            }
+        });
+    }
+
+    return errors;
+}
+
+function matchesJsonType(value, type) {
+    switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function describeJsonType(value) {
+    if (value === undefined) return 'nothing';
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function formatJsonPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Adds the file name to each error so reports read "file: path: reason"
+function validateDataFile(file, data, schema) {
+    return validateAgainstSchema(data, schema).map(error => ({ file, ...error }));
+}
+
+function formatValidationError(error) {
+    return `${error.file}: ${error.path}: ${error.message}`;
+}
+
+// ----- Browser reporting -----
+// Dev mode is on for local servers and file://, or with ?dev=1 in the URL
+function isDevMode() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('dev')) return params.get('dev') !== '0';
+    return ['localhost', '127.0.0.1', '[::1]', ''].includes(window.location.hostname);
+}
+
+async function fetchJsonFile(file) {
+    const response = await fetch(file);
+    if (!response.ok) {
+        throw Object.assign(new Error(`could not be loaded (HTTP ${response.status})`), { file, status: response.status });
+    }
+    try {
+        return await response.json();
+    } catch (error) {
+        throw Object.assign(new Error(`is not valid JSON (${error.message})`), { file });
+    }
+}
 
-    // Find the section with the most visible area
-    sections.forEach(section => {
-        const rect = section.getBoundingClientRect();
-        const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
-        const visibleWidth = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
-        const visibleArea = visibleHeight * visibleWidth;
+async function loadSchema(schemaFile) {
+    if (!schemaCache[schemaFile]) {
+        schemaCache[schemaFile] = fetchJsonFile(schemaFile);
+    }
+    return schemaCache[schemaFile];
+}
 
-        if (visibleArea > maxVisibleArea) {
-            maxVisibleArea = visibleArea;
-            currentSection = section;
+async function validateSiteData(dataByFile) {
+    const errors = [];
+    for (const [file, data] of Object.entries(dataByFile)) {
+        const schemaFile = file.startsWith('data/') ? DATA_SCHEMAS[file] : BLOG_POST_SCHEMA;
+        try {
+            errors.push(...validateDataFile(file, data, await loadSchema(schemaFile)));
+        } catch (error) {
+            // A missing schema should not stop the site from rendering
+            errors.push({ file: schemaFile, path: '$', message: error.message });
         }
+    }
+    return errors;
+}
+
+function reportDataErrors(errors) {
+    if (errors.length === 0) return;
+
+    errors.forEach(error => console.error(formatValidationError(error)));
+    addToDataErrorOverlay(errors);
+}
+
+function addToDataErrorOverlay(errors) {
+    if (!isDevMode()) return;
+
+    dataValidationErrors = dataValidationErrors.concat(errors);
+    showDataErrorOverlay(dataValidationErrors);
+}
+
+function showDataErrorOverlay(errors) {
+    let overlay = document.getElementById('data-error-overlay');
+
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'data-error-overlay';
+        overlay.className = 'data-error-overlay';
+        overlay.setAttribute('role', 'alert');
+        document.body.appendChild(overlay);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target.closest('.data-error-close')) {
+                overlay.remove();
+            }
+        });
+    }
+
+    overlay.innerHTML = `
+        <div class="data-error-header">
+            <h2>Data validation failed (${errors.length} ${errors.length === 1 ? 'error' : 'errors'})</h2>
+            <button class="data-error-close" aria-label="Dismiss data errors">&times;</button>
+        </div>
+        <ul class="data-error-list">
+            ${errors.map(error => `
+                <li>
+                    <code class="data-error-file">${escapeHtml(error.file || 'unknown file')}</code>
+                    <code class="data-error-path">${escapeHtml(error.path || '$')}</code>
+                    <span>${escapeHtml(error.message)}</span>
+                </li>
+            `).join('')}
+        </ul>
+        <p class="data-error-hint">Shown in dev mode only. Run <code>node scripts/validate-data.js</code> for the full report.</p>
+    `;
+}
+
+// ===== INTERNATIONALIZATION =====
+// UI strings live in locales/<locale>.json as flat "section.key" entries and
+// translated content in data/<locale>/<file>.json. Whatever a locale leaves
+// out falls back to the default locale.
+const LOCALE_STORAGE_KEY = 'locale';
+const LOCALE_PARAM = 'lang';
+const I18N_ATTRIBUTES = {
+    'data-i18n-aria-label': 'aria-label',
+    'data-i18n-placeholder': 'placeholder'
+};
+
+let i18nSettings = { defaultLocale: 'en', locales: { en: 'English' } };
+let currentLocale = 'en';
+let translations = {};
+let fallbackTranslations = {};
+
+async function initI18n(configRequest) {
+    try {
+        const config = await configRequest;
+        if (config.i18n) i18nSettings = { ...i18nSettings, ...config.i18n };
+    } catch (error) {
+        // loadAllData reports a broken config; render in the default locale
+    }
+
+    currentLocale = resolveLocale();
+    document.documentElement.lang = currentLocale;
+
+    fallbackTranslations = await loadTranslations(i18nSettings.defaultLocale);
+    translations = currentLocale === i18nSettings.defaultLocale
+        ? fallbackTranslations
+        : await loadTranslations(currentLocale);
+
+    applyTranslations(document);
+}
+
+// localStorage throws in some privacy modes; the choice then lasts one page
+function readSavedLocale() {
+    try {
+        return localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveLocale(locale) {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// ?lang=de wins (and is remembered), then the saved choice, then the
+// browser's preferred languages
+function resolveLocale() {
+    const supported = Object.keys(i18nSettings.locales);
+    const requested = matchLocale(new URLSearchParams(window.location.search).get(LOCALE_PARAM), supported);
+    if (requested) {
+        saveLocale(requested);
+        return requested;
+    }
+
+    const saved = matchLocale(readSavedLocale(), supported);
+    if (saved) return saved;
+
+    const browserLocales = navigator.languages || [navigator.language];
+    for (const tag of browserLocales) {
+        const match = matchLocale(tag, supported);
+        if (match) return match;
+    }
+    return i18nSettings.defaultLocale;
+}
+
+// "de-AT" matches "de-AT" first, then "de"
+function matchLocale(tag, supported) {
+    if (!tag) return null;
+    const lower = tag.toLowerCase();
+    return supported.find(locale => locale.toLowerCase() === lower)
+        || supported.find(locale => locale.toLowerCase() === lower.split('-')[0])
+        || null;
+}
+
+async function loadTranslations(locale) {
+    try {
+        return await fetchJsonFile(`locales/${locale}.json`);
+    } catch (error) {
+        console.warn(`Missing translations for "${locale}":`, error.message);
+        return {};
+    }
+}
+
+function t(key, params = {}) {
+    const template = translations[key] ?? fallbackTranslations[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.getAttribute('data-i18n'));
     });
+    Object.entries(I18N_ATTRIBUTES).forEach(([dataAttribute, attribute]) => {
+        root.querySelectorAll(`[${dataAttribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(dataAttribute)));
+        });
+    });
+}
 
-    if (currentSection) {
-        const sectionId = currentSection.id;
-        const metaTitle = document.querySelector('title');
-        const metaDescription = document.getElementById('meta-description');
-        
-        // Basic update logic - in a real app, this might come from config too
-        const baseTitle = "John Doe - Software Engineer";
-        metaTitle.textContent = `${sectionId.charAt(0).toUpperCase() + sectionId.slice(1)} | ${baseTitle}`;
-        if (metaDescription) {
-             metaDescription.content = `View details about ${sectionId} section.`;
+// data/de/config.json only needs the fields that differ; files without a
+// translation are served from data/ as is. `request` reuses a fetch of the
+// default file that is already under way.
+async function fetchLocalizedData(file, request = fetchJsonFile(file)) {
+    const data = await request;
+    if (currentLocale === i18nSettings.defaultLocale) return data;
+
+    try {
+        return mergeLocalizedData(data, await fetchJsonFile(file.replace(/^data\//, `data/${currentLocale}/`)));
+    } catch (error) {
+        if (error.status === 404) return data;
+        throw error;
+    }
+}
+
+// Objects merge key by key; arrays and plain values are replaced whole
+function mergeLocalizedData(base, localized) {
+    if (!isPlainObject(base) || !isPlainObject(localized)) return localized;
+
+    const merged = { ...base };
+    Object.entries(localized).forEach(([key, value]) => {
+        merged[key] = mergeLocalizedData(base[key], value);
+    });
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Drops empty fields (undefined, null, '' and []) so generated documents only
+// say what the data actually knows
+function compactObject(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+        value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    ));
+}
+
+// Dates in the data files are free text; whatever parsePostDate can read is
+// shown in the current locale ("November 15, 2023" -> "15. November 2023")
+function formatDisplayDate(value) {
+    const date = parsePostDate(value);
+    if (!date) return value;
+
+    const text = String(value);
+    const hasDay = /^\d{4}-\d{2}-\d{2}/.test(text) || /(^|\D)\d{1,2}(?!\d)/.test(text);
+    return new Intl.DateTimeFormat(currentLocale, {
+        year: 'numeric',
+        month: 'long',
+        day: hasDay ? 'numeric' : undefined,
+        timeZone: 'UTC'
+    }).format(date);
+}
+
+function initLanguageSwitcher() {
+    const switcher = document.getElementById('language-switcher');
+    const locales = Object.entries(i18nSettings.locales);
+    if (!switcher || locales.length < 2) return;
+
+    switcher.innerHTML = locales.map(([code, name]) =>
+        `<option value="${code}" lang="${code}"${code === currentLocale ? ' selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+    switcher.hidden = false;
+
+    switcher.addEventListener('change', () => {
+        // Drop ?lang so it doesn't override the new choice, then re-render;
+        // without storage the choice travels in ?lang instead
+        const params = new URLSearchParams(window.location.search);
+        if (saveLocale(switcher.value)) {
+            params.delete(LOCALE_PARAM);
+        } else {
+            params.set(LOCALE_PARAM, switcher.value);
+        }
+        const query = params.toString();
+        history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        window.location.reload();
+    });
+}
+
+// ===== HASH ROUTER =====
+// Deep links keep UI state in the fragment: #<section>[/<item>][?<params>]
+//   #experience/senior-software-engineer        expanded timeline entry
+//   #projects/e-commerce-platform?image=2       project gallery in the lightbox
+//   #projects?tech=Python&match=all             projects filtered by technology
+//   #publications?year=2023&author=Jane+Smith   publication filters
+//   #blogs?q=machine+learning                   blog search
+// Each feature registers a handler that restores its state from a route and
+// calls updateRoute() when the user changes that state.
+const routeHandlers = [];
+
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function parseRoute(hash) {
+    const text = String(hash).replace(/^#/, '');
+    const queryStart = text.indexOf('?');
+    const path = queryStart === -1 ? text : text.slice(0, queryStart);
+    const slash = path.indexOf('/');
+
+    return {
+        section: decodeRouteSegment(slash === -1 ? path : path.slice(0, slash)),
+        item: slash === -1 ? '' : decodeRouteSegment(path.slice(slash + 1)),
+        params: new URLSearchParams(queryStart === -1 ? '' : text.slice(queryStart + 1))
+    };
+}
+
+// A hand-edited link with a stray "%" should not break the page
+function decodeRouteSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
+
+function formatRoute({ section, item = '', params }) {
+    const query = params ? params.toString() : '';
+    return `#${encodeURIComponent(section)}${item ? `/${encodeURIComponent(item)}` : ''}${query ? `?${query}` : ''}`;
+}
+
+function registerRoute(handler) {
+    routeHandlers.push(handler);
+}
+
+// Discrete actions (expanding an entry, picking a filter) get their own
+// history entry; typing and closing only replace the current one
+function updateRoute(route, { replace = false } = {}) {
+    const hash = formatRoute(route);
+    if (hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+function applyRoute(route) {
+    routeHandlers.forEach(handler => handler(route));
+}
+
+function initRouter() {
+    const route = parseRoute(window.location.hash);
+    applyRoute(route);
+    scrollToRoute(route);
+
+    // Back/forward, and plain #section links elsewhere on the page
+    window.addEventListener('popstate', () => {
+        applyRoute(parseRoute(window.location.hash));
+    });
+}
+
+// The browser can't find "#experience/senior-software-engineer" by id, so
+// bring the section (or the entry inside it) into view ourselves
+function scrollToRoute(route) {
+    const section = route.section && document.getElementById(route.section);
+    if (!section) return;
+
+    const item = route.item && Array.from(section.querySelectorAll('[data-slug]'))
+        .find(el => el.getAttribute('data-slug') === route.item);
+    const target = item || section;
+
+    window.scrollTo({
+        top: target.getBoundingClientRect().top + window.scrollY - 70 // Account for fixed navbar
+    });
+}
+
+// ===== OFFLINE SUPPORT =====
+// sw.js keeps a copy of the site for offline visits. It is not registered in
+// dev mode so edits show up on reload; add ?dev=0 to try it locally.
+const SERVICE_WORKER_URL = 'sw.js';
+
+let isWaitingForWorker = false;
+
+function initOfflineSupport() {
+    updateOfflineBanner();
+    window.addEventListener('online', updateOfflineBanner);
+    window.addEventListener('offline', updateOfflineBanner);
+
+    if (!('serviceWorker' in navigator) || isDevMode()) return;
+
+    // The worker refreshed data/, blogs/ or locales/ behind a cached copy
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'content-updated') {
+            showUpdatePrompt(() => window.location.reload());
         }
+    });
+
+    // Only reload for a worker the visitor chose to activate, not the first install
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isWaitingForWorker) window.location.reload();
+    });
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptForWorker(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptForWorker(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+function promptForWorker(worker) {
+    showUpdatePrompt(() => {
+        isWaitingForWorker = true;
+        worker.postMessage({ type: 'skip-waiting' });
+    });
+}
+
+function updateOfflineBanner() {
+    if (navigator.onLine) {
+        hideSiteBanner('offline-banner');
+    } else {
+        showSiteBanner({ id: 'offline-banner', message: t('offline.banner') });
+    }
+}
+
+function showUpdatePrompt(onReload) {
+    showSiteBanner({
+        id: 'update-banner',
+        message: t('offline.updateAvailable'),
+        actionLabel: t('offline.reload'),
+        onAction: onReload,
+        dismissible: true
+    });
+}
+
+function showSiteBanner({ id, message, actionLabel, onAction, dismissible = false }) {
+    let banner = document.getElementById(id);
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = id;
+        banner.className = 'site-banner';
+        banner.setAttribute('role', 'status');
+        document.body.appendChild(banner);
+    }
+
+    banner.innerHTML = `
+        <span class="site-banner-message">${escapeHtml(message)}</span>
+        ${actionLabel ? `<button type="button" class="site-banner-action">${escapeHtml(actionLabel)}</button>` : ''}
+        ${dismissible ? `<button type="button" class="site-banner-dismiss" aria-label="${t('offline.dismiss')}">×</button>` : ''}
+    `;
+
+    if (actionLabel) {
+        banner.querySelector('.site-banner-action').addEventListener('click', onAction);
     }
+    if (dismissible) {
+        banner.querySelector('.site-banner-dismiss').addEventListener('click', () => banner.remove());
+    }
+}
+
+function hideSiteBanner(id) {
+    const banner = document.getElementById(id);
+    if (banner) banner.remove();
 }
 
 // ===== NAVIGATION SYSTEM =====
@@ -418,6 +1033,7 @@ function initNavigation() {
                     top: offsetTop,
                     behavior: 'smooth'
                 });
+                updateRoute({ section: targetSection.id });
 
                 // Close mobile menu after navigation
                 hamburger.classList.remove('active');
@@ -437,34 +1053,137 @@ function initNavigation() {
     });
 }
 
-// ===== THEME TOGGLE (DARK MODE) =====
-function initThemeToggle() {
-    const themeToggle = document.getElementById('theme-toggle');
-    const themeIcon = themeToggle.querySelector('.theme-icon');
-    const body = document.body;
+// ===== SECTION METADATA & SCROLL SPY =====
+// config.json "seo" sets the page title, description and keywords for the
+// section in view; sections without an entry show the site-wide values
+const SEO_TITLE_TEMPLATE = '{section} | {site}';
+const SEO_META_TAGS = {
+    description: ['meta-description', 'og-description', 'twitter-description'],
+    keywords: ['meta-keywords'],
+    title: ['og-title', 'twitter-title']
+};
+
+let seoSettings = { title: '', titleTemplate: SEO_TITLE_TEMPLATE, description: '', keywords: [], sections: {} };
+let activeSectionId = null;
+
+function setSeoSettings(config) {
+    const seo = config.seo || {};
+    seoSettings = {
+        title: seo.title || `${config.name} - ${config.tagline}`,
+        titleTemplate: seo.titleTemplate || SEO_TITLE_TEMPLATE,
+        description: seo.description || config.description || '',
+        keywords: seo.keywords || [],
+        sections: seo.sections || {}
+    };
+
+    const author = document.getElementById('meta-author');
+    if (author) author.content = config.name;
+
+    // Without a siteUrl the URLs index.html ships with are left alone
+    if (config.siteUrl) {
+        const homeUrl = absoluteUrl(config.siteUrl);
+        ['og-url', 'twitter-url'].forEach(id => {
+            const tag = document.getElementById(id);
+            if (tag) tag.content = homeUrl;
+        });
+        const canonical = document.getElementById('canonical-url');
+        if (canonical) canonical.href = homeUrl;
+    }
+}
+
+// A section's title defaults to its (translated) nav label
+function getSectionMetadata(sectionId) {
+    const section = seoSettings.sections[sectionId];
+    if (!section) {
+        return { title: seoSettings.title, description: seoSettings.description, keywords: seoSettings.keywords };
+    }
+
+    const navLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
+    const sectionTitle = section.title || (navLink ? navLink.textContent.trim() : sectionId);
+    return {
+        title: seoSettings.titleTemplate.replace('{section}', sectionTitle).replace('{site}', seoSettings.title),
+        description: section.description || seoSettings.description,
+        keywords: section.keywords || seoSettings.keywords
+    };
+}
+
+function applySectionMetadata(sectionId) {
+    // config.json didn't load; keep the tags index.html ships with
+    if (!seoSettings.title) return;
 
-    // Check for saved theme preference or default to light mode
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    setTheme(savedTheme);
+    const metadata = getSectionMetadata(sectionId);
+    const values = { ...metadata, keywords: metadata.keywords.join(', ') };
 
-    themeToggle.addEventListener('click', () => {
-        const currentTheme = body.getAttribute('data-theme') || 'light';
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        setTheme(newTheme);
+    document.title = metadata.title;
+    Object.entries(SEO_META_TAGS).forEach(([key, ids]) => {
+        ids.forEach(id => {
+            const tag = document.getElementById(id);
+            if (tag) tag.content = values[key];
+        });
     });
+}
 
-    function setTheme(theme) {
-        body.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
+function setActiveSection(sectionId) {
+    if (sectionId === activeSectionId) return;
+    activeSectionId = sectionId;
+
+    document.querySelectorAll('.nav-link').forEach(link => {
+        const isActive = link.getAttribute('href') === `#${sectionId}`;
+        link.classList.toggle('active', isActive);
+        if (isActive) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+    applySectionMetadata(sectionId);
+}
 
-        // Update icon
-        themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
+function initScrollSpy() {
+    const sections = document.querySelectorAll('section[id]');
+    applySectionMetadata(null);
 
-        // Update ARIA label
-        themeToggle.setAttribute('aria-label',
-            theme === 'light' ? 'Switch to dark mode' : 'Switch to light mode'
-        );
+    if (!('IntersectionObserver' in window)) {
+        // Fallback for browsers without IntersectionObserver
+        if (sections.length) setActiveSection(sections[0].id);
+        return;
     }
+
+    // The section taking up the most of the viewport is the active one
+    const visibleHeights = new Map();
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            visibleHeights.set(entry.target.id, entry.isIntersecting ? entry.intersectionRect.height : 0);
+        });
+
+        let currentId = null;
+        let maxHeight = 0;
+        visibleHeights.forEach((height, id) => {
+            if (height > maxHeight) {
+                maxHeight = height;
+                currentId = id;
+            }
+        });
+        if (currentId) setActiveSection(currentId);
+    }, {
+        rootMargin: '-70px 0px 0px 0px', // Account for fixed navbar
+        threshold: Array.from({ length: 11 }, (_, i) => i / 10)
+    });
+
+    sections.forEach(section => observer.observe(section));
+}
+
+// ===== THEME TOGGLE =====
+// theme.js applies and stores the theme; this labels the button in the
+// page language
+function initThemeToggle() {
+    bindThemeToggle(document.getElementById('theme-toggle'), (choice, next) =>
+        t('theme.toggle', { current: themeLabel(choice), next: themeLabel(next) })
+    );
+}
+
+function themeLabel(choice) {
+    return THEME_MODES.includes(choice) ? t(`theme.${choice}`) : themeChoiceName(choice);
 }
 
 // ===== TIMELINE ACCORDIONS =====
@@ -491,6 +1210,13 @@ function initTimelineAccordions() {
 
             // Toggle current accordion
             timelineItem.setAttribute('data-expanded', !isExpanded);
+
+            const sectionId = timeline.closest('section').id;
+            if (isExpanded) {
+                updateRoute({ section: sectionId }, { replace: true });
+            } else {
+                updateRoute({ section: sectionId, item: timelineItem.getAttribute('data-slug') });
+            }
         });
         
         // Keyboard accessibility for delegation
@@ -504,48 +1230,429 @@ function initTimelineAccordions() {
             }
         });
     });
-}
 
-// ===== PROJECT LIGHTBOX =====
-function initProjectLightbox() {
+    // #experience/<slug> expands that entry; #experience alone collapses all
+    registerRoute(route => {
+        timelines.forEach(timeline => {
+            if (timeline.closest('section').id !== route.section) return;
+
+            timeline.querySelectorAll('.timeline-item').forEach(item => {
+                item.setAttribute('data-expanded', String(item.getAttribute('data-slug') === route.item));
+            });
+        });
+    });
+}
+
+// ===== REPOSITORY METADATA =====
+// scripts/build-repo-metadata.js caches stars, languages, last commit date,
+// license and latest release for each project's links.code repository in
+// data/repos.json. The file is optional; without it cards show no badges.
+const REPO_METADATA_FILE = 'data/repos.json';
+const REPO_METADATA_SCHEMA = 'schemas/repos.schema.json';
+
+let repoMetadata = {};
+
+// "https://github.com/owner/name[.git][/tree/...]" -> keyed "github.com/owner/name"
+function parseRepoUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    const [owner, name] = url.pathname.split('/').filter(Boolean);
+    if (!owner || !name) return null;
+
+    const host = url.hostname.replace(/^www\./, '').toLowerCase();
+    const repoName = name.replace(/\.git$/, '');
+    return {
+        host,
+        owner,
+        name: repoName,
+        key: `${host}/${owner}/${repoName}`.toLowerCase(),
+        url: `https://${host}/${owner}/${repoName}`
+    };
+}
+
+async function loadRepoMetadata() {
+    try {
+        const data = await fetchJsonFile(REPO_METADATA_FILE);
+        return data.repos || {};
+    } catch (error) {
+        if (error.status !== 404) {
+            console.warn(`${REPO_METADATA_FILE} ${error.message}; showing projects without repository details`);
+        }
+        return {};
+    }
+}
+
+function projectRepoMetadata(project) {
+    const repo = project.links && parseRepoUrl(project.links.code);
+    return repo ? repoMetadata[repo.key] || null : null;
+}
+
+function renderRepoBadges(meta) {
+    if (!meta) return '';
+
+    const badges = [
+        ['stars', '★', typeof meta.stars === 'number'
+            ? new Intl.NumberFormat(currentLocale, { notation: 'compact' }).format(meta.stars)
+            : null],
+        ['languages', '⌨', meta.languages && meta.languages.length ? meta.languages.join(', ') : null],
+        ['release', '🏷', meta.release],
+        ['license', '⚖', meta.license],
+        ['updated', '🕒', meta.lastCommit ? formatDisplayDate(meta.lastCommit) : null]
+    ].filter(([, , value]) => value);
+    if (badges.length === 0) return '';
+
+    return `
+        <ul class="repo-badges" aria-label="${t('projects.repo.label')}">
+            ${badges.map(([key, icon, value]) => `
+                <li class="repo-badge repo-badge-${key}" title="${t(`projects.repo.${key}`)}">
+                    <span aria-hidden="true">${icon}</span>
+                    <span class="sr-only">${t(`projects.repo.${key}`)}:</span>
+                    ${escapeHtml(value)}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// ===== PROJECT FILTERS =====
+// Technologies work as filters, from the tag cloud above the grid or the tags
+// on each card. Selected tags match "any" (OR) or "all" (AND). The state lives
+// in the route (#projects?tech=Python&tech=Flask&match=all&sort=title)
+// and is kept when a project's gallery opens on top of it.
+const PROJECT_SORTS = ['featured', 'newest', 'oldest', 'title'];
+const PROJECT_MATCH_MODES = ['any', 'all'];
+const PROJECT_TECH_PARAM = 'tech';
+
+let projectData = [];
+let projectFilterState = createProjectFilterState();
+
+function createProjectFilterState() {
+    return { tech: new Set(), match: PROJECT_MATCH_MODES[0], sort: PROJECT_SORTS[0] };
+}
+
+// Hand-typed links may not match the data's casing ("typescript")
+function canonicalTechnology(value) {
+    const lower = value.toLowerCase();
+    const match = projectData.flatMap(project => project.technologies).find(tech => tech.toLowerCase() === lower);
+    return match || value;
+}
+
+function projectFiltersFromParams(params) {
+    const state = createProjectFilterState();
+
+    params.getAll(PROJECT_TECH_PARAM).forEach(value => state.tech.add(canonicalTechnology(value)));
+    if (PROJECT_MATCH_MODES.includes(params.get('match'))) state.match = params.get('match');
+    if (PROJECT_SORTS.includes(params.get('sort'))) state.sort = params.get('sort');
+    return state;
+}
+
+// Defaults are left out so an unfiltered list is plain #projects
+function projectFilterParams(state = projectFilterState) {
+    const params = new URLSearchParams();
+
+    state.tech.forEach(value => params.append(PROJECT_TECH_PARAM, value));
+    if (state.tech.size > 1 && state.match !== PROJECT_MATCH_MODES[0]) params.set('match', state.match);
+    if (state.sort !== PROJECT_SORTS[0]) params.set('sort', state.sort);
+    return params;
+}
+
+function writeProjectFiltersToUrl(options) {
+    updateRoute({ section: 'projects', params: projectFilterParams() }, options);
+}
+
+function matchesProjectFilters(project, state) {
+    if (state.tech.size === 0) return true;
+
+    const selected = [...state.tech];
+    return state.match === 'all'
+        ? selected.every(tech => project.technologies.includes(tech))
+        : selected.some(tech => project.technologies.includes(tech));
+}
+
+// Stable, so projects keep their data order within a tie; undated projects
+// go last when sorting by date
+function sortProjects(entries, sort) {
+    const time = project => {
+        const date = parsePostDate(project.date);
+        return date ? date.getTime() : null;
+    };
+    const byDate = direction => (a, b) => {
+        const [timeA, timeB] = [time(a.project), time(b.project)];
+        if (timeA === timeB) return 0;
+        if (timeA === null) return 1;
+        if (timeB === null) return -1;
+        return (timeA - timeB) * direction;
+    };
+
+    const comparators = {
+        featured: (a, b) => Number(Boolean(b.project.featured)) - Number(Boolean(a.project.featured)),
+        newest: byDate(-1),
+        oldest: byDate(1),
+        title: (a, b) => a.project.title.localeCompare(b.project.title)
+    };
+    return [...entries].sort((a, b) => comparators[sort](a, b) || a.index - b.index);
+}
+
+function initProjectFilters() {
+    const filtersContainer = document.getElementById('project-filters');
+    const grid = document.getElementById('projects-grid');
+
+    filtersContainer.innerHTML = `
+        <div class="tag-cloud" role="group" aria-label="${t('projects.filterLabel')}"></div>
+        <div class="facet-summary">
+            <span class="facet-result-count" aria-live="polite"></span>
+            <div class="project-match" role="group" aria-label="${t('projects.matchLabel')}">
+                ${PROJECT_MATCH_MODES.map(mode => `
+                    <button type="button" class="filter-btn facet-btn" data-match="${mode}">${t(`projects.match.${mode}`)}</button>
+                `).join('')}
+            </div>
+            <label class="project-sort">
+                ${t('projects.sortLabel')}
+                <select id="project-sort" class="project-sort-select">
+                    ${PROJECT_SORTS.map(sort => `<option value="${sort}">${t(`projects.sort.${sort}`)}</option>`).join('')}
+                </select>
+            </label>
+            <button type="button" class="facet-clear">${t('projects.clearFilters')}</button>
+        </div>
+    `;
+    const sortSelect = filtersContainer.querySelector('#project-sort');
+
+    const emptyMessage = document.createElement('p');
+    emptyMessage.className = 'projects-empty';
+    emptyMessage.textContent = t('projects.noMatches');
+    emptyMessage.hidden = true;
+    grid.after(emptyMessage);
+
+    function toggleTechnology(tech) {
+        if (projectFilterState.tech.has(tech)) {
+            projectFilterState.tech.delete(tech);
+        } else {
+            projectFilterState.tech.add(tech);
+        }
+        applyProjectFilters();
+        writeProjectFiltersToUrl();
+    }
+
+    // The cloud is re-rendered with every change, so use delegation and keep
+    // keyboard focus on the same tag
+    filtersContainer.addEventListener('click', (e) => {
+        const tagButton = e.target.closest('.tag-cloud-btn');
+        const matchButton = e.target.closest('[data-match]');
+
+        if (tagButton) {
+            const tech = tagButton.getAttribute('data-tech');
+            toggleTechnology(tech);
+            const sameButton = Array.from(filtersContainer.querySelectorAll('.tag-cloud-btn'))
+                .find(button => button.getAttribute('data-tech') === tech);
+            if (sameButton) sameButton.focus();
+        } else if (matchButton) {
+            projectFilterState.match = matchButton.getAttribute('data-match');
+            applyProjectFilters();
+            writeProjectFiltersToUrl({ replace: true });
+        } else if (e.target.closest('.facet-clear')) {
+            projectFilterState = createProjectFilterState();
+            applyProjectFilters();
+            writeProjectFiltersToUrl();
+            const firstTag = filtersContainer.querySelector('.tag-cloud-btn');
+            if (firstTag) firstTag.focus();
+        }
+    });
+
+    // Tags on the cards filter too
+    grid.addEventListener('click', (e) => {
+        const tag = e.target.closest('.tech-tag');
+        if (!tag) return;
+        toggleTechnology(tag.getAttribute('data-tech'));
+    });
+
+    sortSelect.addEventListener('change', () => {
+        projectFilterState.sort = sortSelect.value;
+        applyProjectFilters();
+        writeProjectFiltersToUrl({ replace: true });
+    });
+
+    applyProjectFilters();
+
+    // Any projects route carries the filters, including #projects/<slug>
+    registerRoute(route => {
+        if (route.section !== 'projects') return;
+
+        projectFilterState = projectFiltersFromParams(route.params);
+        applyProjectFilters();
+    });
+}
+
+function applyProjectFilters() {
+    const filtersContainer = document.getElementById('project-filters');
+    const grid = document.getElementById('projects-grid');
+    const state = projectFilterState;
+    const cards = Array.from(grid.querySelectorAll('.project-card'));
+
+    const entries = cards.map(card => {
+        const index = Number(card.getAttribute('data-index'));
+        return { card, index, project: projectData[index] };
+    });
+
+    let visibleCount = 0;
+    sortProjects(entries, state.sort).forEach(({ card, project }) => {
+        const isMatch = matchesProjectFilters(project, state);
+        card.style.display = isMatch ? '' : 'none';
+        if (isMatch) visibleCount++;
+        grid.appendChild(card);
+
+        card.querySelectorAll('.tech-tag').forEach(tag => {
+            const isActive = state.tech.has(tag.getAttribute('data-tech'));
+            tag.classList.toggle('active', isActive);
+            tag.setAttribute('aria-pressed', String(isActive));
+        });
+    });
+
+    filtersContainer.querySelector('.tag-cloud').innerHTML = renderTagCloud(state);
+    filtersContainer.querySelectorAll('[data-match]').forEach(button => {
+        const isActive = button.getAttribute('data-match') === state.match;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+    // The match mode only matters once two tags are picked
+    filtersContainer.querySelector('.project-match').hidden = state.tech.size < 2;
+    filtersContainer.querySelector('#project-sort').value = state.sort;
+
+    const isFiltered = state.tech.size > 0;
+    filtersContainer.querySelector('.facet-result-count').textContent =
+        t('projects.showing', { visible: visibleCount, total: projectData.length });
+    filtersContainer.querySelector('.facet-clear').hidden = !isFiltered && state.sort === PROJECT_SORTS[0];
+    grid.nextElementSibling.hidden = visibleCount > 0;
+}
+
+// Tags are sized by how many projects use them, from 0 (least) to 1 (most)
+function renderTagCloud(state) {
+    const counts = new Map();
+    projectData.forEach(project => {
+        new Set(project.technologies).forEach(tech => {
+            counts.set(tech, (counts.get(tech) || 0) + 1);
+        });
+    });
+    state.tech.forEach(tech => {
+        if (!counts.has(tech)) counts.set(tech, 0);
+    });
+
+    const max = Math.max(...counts.values(), 1);
+    const min = Math.min(...counts.values(), max);
+    const weight = count => (max === min ? 0.5 : (count - min) / (max - min));
+
+    return [...counts.keys()]
+        .sort((a, b) => a.localeCompare(b))
+        .map(tech => {
+            const count = counts.get(tech);
+            const isActive = state.tech.has(tech);
+            return `
+                <button type="button" class="tag-cloud-btn${isActive ? ' active' : ''}" data-tech="${escapeHtml(tech)}"
+                    aria-pressed="${isActive}" style="--tag-weight: ${weight(count).toFixed(2)}">
+                    ${escapeHtml(tech)} <span class="facet-count">${count}</span>
+                </button>`;
+        })
+        .join('');
+}
+
+// ===== PROJECT LIGHTBOX =====
+// Each project opens its own gallery: the "images" from data/projects.json,
+// or just the card's "image" when it has none. Images zoom with the wheel, a
+// pinch or a double click and pan by dragging; unzoomed, a swipe moves on.
+// While open it is a modal dialog: the rest of the page is inert, Tab stays
+// inside, and focus goes back to the card's button on close.
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_ZOOM_STEP = 1.25;
+const LIGHTBOX_SWIPE_DISTANCE = 50;
+const VIDEO_FILE_PATTERN = /\.(mp4|webm|ogv|mov)(?:[?#]|$)/i;
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])';
+
+let projectGalleries = {};
+
+// Gallery entries are a URL or { src, caption, alt, type, poster }
+function projectGalleryItems(project) {
+    const entries = Array.isArray(project.images) && project.images.length ? project.images : [project.image];
+
+    return entries.filter(Boolean).map(entry => {
+        const item = typeof entry === 'string' ? { src: entry } : entry;
+        return {
+            src: item.src,
+            caption: item.caption || '',
+            alt: item.alt || item.caption || project.title,
+            type: item.type || (VIDEO_FILE_PATTERN.test(item.src) ? 'video' : 'image'),
+            poster: item.poster || ''
+        };
+    });
+}
+
+function initProjectLightbox() {
     const lightbox = document.getElementById('lightbox');
+    const lightboxTitle = document.getElementById('lightbox-title');
+    const lightboxStage = document.getElementById('lightbox-stage');
     const lightboxImg = document.getElementById('lightbox-image');
+    const lightboxVideo = document.getElementById('lightbox-video');
     const lightboxCaption = document.getElementById('lightbox-caption');
+    const lightboxCounter = document.getElementById('lightbox-counter');
+    const lightboxThumbs = document.getElementById('lightbox-thumbs');
     const lightboxClose = document.querySelector('.lightbox-close');
-    // Note: projectImages will be empty if called before render, but we call it after.
-    // Better to re-query or use delegation.
-    
-    let currentImageIndex = 0;
-    let imageArray = [];
+    const lightboxPrev = document.querySelector('.lightbox-nav.prev');
+    const lightboxNext = document.querySelector('.lightbox-nav.next');
+    const lightboxStatus = document.getElementById('lightbox-status');
+
+    let gallerySlug = null;
+    let returnFocus = null;
+    let inertElements = [];
+    let currentIndex = 0;
+    let zoom = { scale: 1, x: 0, y: 0 };
+    const pointers = new Map();
+    let gesture = null;
+
+    const currentGallery = () => projectGalleries[gallerySlug];
+    const currentItem = () => currentGallery().items[currentIndex];
+    const isOpen = () => lightbox.getAttribute('aria-hidden') === 'false';
+
+    // Cards are rendered from data, so listen on the grid
+    document.getElementById('projects-grid').addEventListener('click', (e) => {
+        const image = e.target.closest('.project-image');
+        if (!image || e.target.closest('.project-link')) return;
 
-    // We need to rebuild the image array since projects are dynamic
-    // This function should be safe to call after renderProjects
-    const projectImages = document.querySelectorAll('.project-img');
-    
-    imageArray = Array.from(projectImages).map((img, index) => {
-        // Attach click listener
-        img.addEventListener('click', (e) => {
-            e.preventDefault();
-            openLightbox(index);
-        });
-        
-        return {
-            src: img.src,
-            alt: img.alt,
-            index: index
-        };
+        e.preventDefault();
+        const slug = image.closest('.project-card').getAttribute('data-slug');
+        openLightbox(slug, 0);
+        updateRoute(galleryRoute(slug, 0));
     });
 
-    function openLightbox(index) {
-        if (index < 0 || index >= imageArray.length) return;
-        currentImageIndex = index;
-        const imageData = imageArray[index];
+    // #projects/<slug>?image=<n>, with n counted from 1 and left out for the
+    // first; any project filters stay in the route underneath
+    function galleryRoute(slug, index) {
+        const params = projectFilterParams();
+        if (index > 0) params.set('image', index + 1);
+        return { section: 'projects', item: slug, params };
+    }
+
+    function openLightbox(slug, index) {
+        if (!projectGalleries[slug] || !projectGalleries[slug].items.length) return;
+
+        const opening = !isOpen();
+        if (slug !== gallerySlug) {
+            gallerySlug = slug;
+            renderThumbnails();
+        }
+        showItem(index);
+        if (!opening) return;
 
-        lightboxImg.src = imageData.src;
-        lightboxImg.alt = imageData.alt;
-        lightboxCaption.textContent = imageData.alt;
+        // A deep link opens the gallery with nothing focused to go back to
+        returnFocus = document.activeElement !== document.body ? document.activeElement : null;
         lightbox.setAttribute('aria-hidden', 'false');
         document.body.style.overflow = 'hidden';
+        setBackgroundInert(true);
+        lightboxClose.focus();
+        announce(`${t('lightbox.opened', { title: currentGallery().title })} ${describeItem()}`);
 
         // Animate in
         requestAnimationFrame(() => {
@@ -554,33 +1661,297 @@ function initProjectLightbox() {
     }
 
     function closeLightbox() {
+        const slug = gallerySlug;
+
         lightbox.classList.remove('show');
         lightbox.setAttribute('aria-hidden', 'true');
         document.body.style.overflow = '';
+        lightboxVideo.pause();
+        gallerySlug = null;
 
-        // Reset image after animation
+        setBackgroundInert(false);
+        const cardButton = document.querySelector(`.project-card[data-slug="${slug}"] .project-gallery-open`);
+        const target = returnFocus && document.contains(returnFocus) ? returnFocus : cardButton;
+        if (target) target.focus();
+        returnFocus = null;
+        announce(t('lightbox.closed'));
+
+        // Reset the media after the animation
         setTimeout(() => {
-            lightboxImg.src = '';
+            if (gallerySlug) return;
+            lightboxImg.removeAttribute('src');
+            lightboxVideo.removeAttribute('src');
             lightboxCaption.textContent = '';
         }, 300);
     }
 
+    // Closing from the UI also drops the image from the URL
+    function dismissLightbox() {
+        closeLightbox();
+        updateRoute({ section: 'projects', params: projectFilterParams() }, { replace: true });
+    }
+
+    // Page content outside the dialog can't be focused, clicked or read
+    // while it is open; the status region stays live to announce the close
+    function setBackgroundInert(inert) {
+        if (inert) {
+            inertElements = Array.from(document.body.children).filter(el =>
+                el !== lightbox && el !== lightboxStatus && el.tagName !== 'SCRIPT' && !el.hasAttribute('inert')
+            );
+            inertElements.forEach(el => el.setAttribute('inert', ''));
+        } else {
+            inertElements.forEach(el => el.removeAttribute('inert'));
+            inertElements = [];
+        }
+    }
+
+    function announce(message) {
+        lightboxStatus.textContent = message;
+    }
+
+    function describeItem() {
+        const position = t('lightbox.position', { current: currentIndex + 1, total: currentGallery().items.length });
+        return [position, currentItem().caption].filter(Boolean).join('. ');
+    }
+
+    // Browsers without inert can still Tab out of the dialog, so wrap around
+    function trapFocus(e) {
+        const focusable = Array.from(lightbox.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(el => !el.closest('[hidden]'));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !lightbox.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !lightbox.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    function showItem(index) {
+        const gallery = currentGallery();
+        const total = gallery.items.length;
+        currentIndex = Math.min(Math.max(index, 0), total - 1);
+        const item = currentItem();
+
+        resetZoom();
+        lightboxVideo.pause();
+
+        const isVideo = item.type === 'video';
+        lightboxImg.hidden = isVideo;
+        lightboxVideo.hidden = !isVideo;
+        if (isVideo) {
+            lightboxImg.removeAttribute('src');
+            lightboxVideo.src = item.src;
+            lightboxVideo.poster = item.poster;
+            lightboxVideo.setAttribute('aria-label', item.alt);
+        } else {
+            lightboxVideo.removeAttribute('src');
+            lightboxImg.src = item.src;
+            lightboxImg.alt = item.alt;
+        }
+        lightboxStage.classList.toggle('is-video', isVideo);
+
+        lightboxTitle.textContent = gallery.title;
+        lightboxCaption.textContent = item.caption;
+        lightboxCounter.textContent = t('lightbox.counter', { current: currentIndex + 1, total });
+
+        const single = total < 2;
+        [lightboxCounter, lightboxThumbs, lightboxPrev, lightboxNext].forEach(el => {
+            el.hidden = single;
+        });
+
+        lightboxThumbs.querySelectorAll('.lightbox-thumb').forEach(thumb => {
+            const active = Number(thumb.getAttribute('data-index')) === currentIndex;
+            thumb.classList.toggle('active', active);
+            if (active) {
+                thumb.setAttribute('aria-current', 'true');
+                thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    function renderThumbnails() {
+        const items = currentGallery().items;
+        lightboxThumbs.innerHTML = items.map((item, index) => {
+            const preview = item.type === 'video' ? item.poster : item.src;
+            return `
+                <button type="button" class="lightbox-thumb${item.type === 'video' ? ' is-video' : ''}" data-index="${index}"
+                        aria-label="${escapeHtml(t('lightbox.showItem', { current: index + 1, total: items.length }))}">
+                    ${preview ? `<img src="${escapeHtml(preview)}" alt="" loading="lazy">` : ''}
+                </button>
+            `;
+        }).join('');
+    }
+
+    function navigateLightbox(direction) {
+        const total = currentGallery().items.length;
+        if (total < 2) return;
+
+        showItem((currentIndex + direction + total) % total);
+        updateRoute(galleryRoute(gallerySlug, currentIndex), { replace: true });
+        announce(describeItem());
+    }
+
+    // ----- Zoom and pan -----
+    // The image scales around its centre; x/y shift it, in stage pixels
+    function applyZoom() {
+        lightboxImg.style.transform = zoom.scale === 1
+            ? ''
+            : `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+        lightboxStage.classList.toggle('zoomed', zoom.scale > 1);
+    }
+
+    function resetZoom() {
+        zoom = { scale: 1, x: 0, y: 0 };
+        applyZoom();
+    }
+
+    // Keeps the image point under `origin` (relative to the stage centre) in place
+    function zoomTo(scale, origin = { x: 0, y: 0 }) {
+        if (currentItem().type !== 'image') return;
+
+        const next = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_ZOOM);
+        const ratio = next / zoom.scale;
+        zoom = {
+            scale: next,
+            x: origin.x - (origin.x - zoom.x) * ratio,
+            y: origin.y - (origin.y - zoom.y) * ratio
+        };
+        clampPan();
+        applyZoom();
+    }
+
+    // Stop panning once the image edge reaches the stage edge
+    function clampPan() {
+        const maxX = (lightboxImg.offsetWidth * (zoom.scale - 1)) / 2;
+        const maxY = (lightboxImg.offsetHeight * (zoom.scale - 1)) / 2;
+        zoom.x = Math.min(Math.max(zoom.x, -maxX), maxX);
+        zoom.y = Math.min(Math.max(zoom.y, -maxY), maxY);
+    }
+
+    function stagePoint(clientX, clientY) {
+        const rect = lightboxStage.getBoundingClientRect();
+        return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+    }
+
+    function pinchState() {
+        const [a, b] = Array.from(pointers.values());
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            center: stagePoint((a.x + b.x) / 2, (a.y + b.y) / 2)
+        };
+    }
+
+    lightboxStage.addEventListener('wheel', (e) => {
+        if (currentItem().type !== 'image') return;
+        e.preventDefault();
+        zoomTo(zoom.scale * (e.deltaY < 0 ? LIGHTBOX_ZOOM_STEP : 1 / LIGHTBOX_ZOOM_STEP), stagePoint(e.clientX, e.clientY));
+    }, { passive: false });
+
+    lightboxStage.addEventListener('dblclick', (e) => {
+        if (zoom.scale > 1) {
+            resetZoom();
+        } else {
+            zoomTo(2, stagePoint(e.clientX, e.clientY));
+        }
+    });
+
+    // One pointer pans a zoomed image or swipes an unzoomed one; two pinch
+    lightboxStage.addEventListener('pointerdown', (e) => {
+        if (e.target === lightboxVideo) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (lightboxStage.setPointerCapture) lightboxStage.setPointerCapture(e.pointerId);
+
+        if (pointers.size === 2) {
+            gesture = { type: 'pinch', scale: zoom.scale, ...pinchState() };
+        } else if (pointers.size === 1) {
+            gesture = {
+                type: zoom.scale > 1 ? 'pan' : 'swipe',
+                startX: e.clientX,
+                startY: e.clientY,
+                originX: zoom.x,
+                originY: zoom.y
+            };
+        }
+    });
+
+    lightboxStage.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const { distance, center } = pinchState();
+            zoomTo(gesture.scale * (distance / gesture.distance), center);
+        } else if (gesture.type === 'pan') {
+            zoom.x = gesture.originX + e.clientX - gesture.startX;
+            zoom.y = gesture.originY + e.clientY - gesture.startY;
+            clampPan();
+            applyZoom();
+        }
+    });
+
+    const endGesture = (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
+
+        if (gesture && gesture.type === 'swipe' && e.type === 'pointerup') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (Math.abs(dx) > LIGHTBOX_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                navigateLightbox(dx < 0 ? 1 : -1);
+            }
+        }
+        // Lifting one finger of a pinch leaves nothing to do until the next touch
+        gesture = null;
+    };
+    lightboxStage.addEventListener('pointerup', endGesture);
+    lightboxStage.addEventListener('pointercancel', endGesture);
+
     // Close lightbox events
-    lightboxClose.addEventListener('click', closeLightbox);
+    lightboxClose.addEventListener('click', dismissLightbox);
+    lightboxPrev.addEventListener('click', () => navigateLightbox(-1));
+    lightboxNext.addEventListener('click', () => navigateLightbox(1));
+
+    lightboxThumbs.addEventListener('click', (e) => {
+        const thumb = e.target.closest('.lightbox-thumb');
+        if (!thumb) return;
+        showItem(Number(thumb.getAttribute('data-index')));
+        updateRoute(galleryRoute(gallerySlug, currentIndex), { replace: true });
+        announce(describeItem());
+    });
+
+    // Focus that lands outside the open dialog (a click elsewhere, a script)
+    // is pulled back in
+    document.addEventListener('focusin', (e) => {
+        if (isOpen() && !lightbox.contains(e.target)) {
+            lightboxClose.focus();
+        }
+    });
 
     lightbox.addEventListener('click', (e) => {
         if (e.target === lightbox) {
-            closeLightbox();
+            dismissLightbox();
         }
     });
 
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
-        if (!lightbox.classList.contains('show')) return;
+        if (!isOpen()) return;
+        // Arrow keys seek and +/- change the volume in the video controls
+        if (e.target === lightboxVideo && e.key !== 'Escape' && e.key !== 'Tab') return;
 
         switch (e.key) {
             case 'Escape':
-                closeLightbox();
+                dismissLightbox();
+                break;
+            case 'Tab':
+                trapFocus(e);
                 break;
             case 'ArrowLeft':
                 navigateLightbox(-1);
@@ -588,48 +1959,86 @@ function initProjectLightbox() {
             case 'ArrowRight':
                 navigateLightbox(1);
                 break;
+            case '+':
+            case '=':
+                zoomTo(zoom.scale * LIGHTBOX_ZOOM_STEP);
+                break;
+            case '-':
+                zoomTo(zoom.scale / LIGHTBOX_ZOOM_STEP);
+                break;
+            case '0':
+                resetZoom();
+                break;
         }
     });
 
-    function navigateLightbox(direction) {
-        currentImageIndex = (currentImageIndex + direction + imageArray.length) % imageArray.length;
-        openLightbox(currentImageIndex);
-    }
+    // #projects/<slug>[?image=<n>] opens that project's gallery; any other route closes it
+    registerRoute(route => {
+        const slug = route.section === 'projects' && route.item;
+
+        if (slug && projectGalleries[slug]) {
+            openLightbox(slug, (parseInt(route.params.get('image'), 10) || 1) - 1);
+        } else if (isOpen()) {
+            closeLightbox();
+        }
+    });
 }
 
 // ===== BLOG PAGE GENERATION =====
-function generateBlogPageTemplate(blogData, filename) {
-    const slug = filename.replace('.json', '');
-    const pageTitle = `${blogData.title} | Blog`;
+// Pages are written to blogpages/<slug>.html by scripts/build-blogs.js;
+// `filename` is the post file name inside blogs/ (e.g. "ai-ethics.json"),
+// `config` is data/config.json, for the author and absolute URLs, and `posts`
+// is every post ({ slug, data }) for the related and previous/next links.
+function generateBlogPageTemplate(blogData, filename, config = {}, posts = []) {
+    const slug = blogSlug(filename);
+    const pageTitle = `${escapeHtml(blogData.title)} | Blog`;
+    const current = { slug, data: blogData };
+    const adjacent = findAdjacentPosts(current, posts);
+    const related = findRelatedPosts(current, posts);
+    const pageUrl = config.siteUrl ? escapeHtml(absoluteUrl(config.siteUrl, `blogpages/${slug}.html`)) : '';
 
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="description" content="${blogData.excerpt}">
-    <meta name="keywords" content="blog, ${blogData.category.toLowerCase()}, technology, development">
-    <meta name="author" content="John Doe">
-    <meta name="robots" content="index, follow">
+    <meta name="description" content="${escapeHtml(blogData.excerpt)}">
+    <meta name="keywords" content="blog, ${escapeHtml(blogData.category.toLowerCase())}, technology, development">
+    <meta name="author" content="${escapeHtml(config.name || '')}">
+    <meta name="robots" content="index, follow">${pageUrl ? `
+    <link rel="canonical" href="${pageUrl}">` : ''}
 
     <!-- Open Graph / Facebook -->
     <meta property="og:type" content="article">
-    <meta property="og:title" content="${blogData.title}">
-    <meta property="og:description" content="${blogData.excerpt}">
-    <meta property="og:image" content="${blogData.image}">
-    <meta property="og:url" content="https://yourwebsite.com/blogpages/${slug}.html">
-
+    <meta property="og:title" content="${escapeHtml(blogData.title)}">
+    <meta property="og:description" content="${escapeHtml(blogData.excerpt)}">
+    <meta property="og:image" content="${escapeHtml(blogData.image)}">
+${pageUrl ? `    <meta property="og:url" content="${pageUrl}">
+` : ''}
     <!-- Twitter -->
     <meta property="twitter:card" content="summary_large_image">
-    <meta property="twitter:title" content="${blogData.title}">
-    <meta property="twitter:description" content="${blogData.excerpt}">
-    <meta property="twitter:image" content="${blogData.image}">
+    <meta property="twitter:title" content="${escapeHtml(blogData.title)}">
+    <meta property="twitter:description" content="${escapeHtml(blogData.excerpt)}">
+    <meta property="twitter:image" content="${escapeHtml(blogData.image)}">${pageUrl ? `
+    <meta property="twitter:url" content="${pageUrl}">` : ''}
 
     <title>${pageTitle}</title>
 
+    <!-- Structured data -->
+    ${renderJsonLdScript(buildBlogPostingJsonLd(blogData, slug, config))}
+
     <!-- Favicon -->
     <link rel="icon" href="../favicon.ico" type="image/x-icon">
 
+    <!-- Blog feeds -->
+    <link rel="alternate" type="application/rss+xml" title="Blog (RSS)" href="../feed.xml">
+    <link rel="alternate" type="application/atom+xml" title="Blog (Atom)" href="../atom.xml">
+    <link rel="alternate" type="application/feed+json" title="Blog (JSON Feed)" href="../feed.json">
+
+    <!-- Theme, applied before the page is painted -->
+    <script src="../theme.js"></script>
+    <script>setThemeOptions(${JSON.stringify(config.theme || {}).replace(/</g, '\\u003c')});</script>
+
     <!-- CSS -->
     <link rel="stylesheet" href="../styles.css">
 
@@ -678,6 +2087,28 @@ function generateBlogPageTemplate(blogData, filename) {
             font-size: 1.8rem;
         }
 
+        /* Keep linked headings clear of the fixed navbar */
+        .blog-page-content h2,
+        .blog-page-content h3 {
+            scroll-margin-top: 90px;
+        }
+
+        .heading-anchor {
+            margin-left: 0.5rem;
+            color: var(--text-secondary);
+            text-decoration: none;
+            font-size: 0.8em;
+            opacity: 0;
+            transition: opacity var(--transition-fast);
+        }
+
+        .blog-page-content h2:hover .heading-anchor,
+        .blog-page-content h3:hover .heading-anchor,
+        .heading-anchor:focus,
+        .heading-anchor.copied {
+            opacity: 1;
+        }
+
         .blog-page-content h3 {
             color: var(--text-primary);
             margin: 1.5rem 0 0.8rem;
@@ -726,66 +2157,260 @@ function generateBlogPageTemplate(blogData, filename) {
             color: inherit;
         }
 
-        .blog-page-back {
-            display: inline-flex;
-            align-items: center;
-            color: var(--primary-color);
-            text-decoration: none;
-            font-weight: 500;
-            margin-bottom: 2rem;
-            transition: color var(--transition-fast);
+        .blog-page-content ul,
+        .blog-page-content ol {
+            margin: 0 0 1.5rem 1.5rem;
         }
 
-        .blog-page-back:hover {
-            color: var(--accent-color);
+        .blog-page-content li {
+            margin-bottom: 0.5rem;
         }
 
-        .blog-page-back::before {
-            content: '←';
-            margin-right: 0.5rem;
+        .blog-page-content table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 2rem 0;
+            font-size: 0.95rem;
         }
 
-        .blog-page-footer {
-            margin-top: 4rem;
-            padding-top: 2rem;
+        .blog-page-content th,
+        .blog-page-content td {
+            border: 1px solid var(--border-color);
+            padding: 0.6rem 0.8rem;
+            text-align: left;
+        }
+
+        .blog-page-content th {
+            background: var(--surface-color);
+        }
+
+        .blog-page-content hr {
+            border: none;
             border-top: 1px solid var(--border-color);
-            text-align: center;
-            color: var(--text-secondary);
+            margin: 2.5rem 0;
         }
 
-        .blog-page-tags {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 0.5rem;
-            margin: 2rem 0;
+        /* Reading progress and table of contents */
+        .reading-progress {
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            height: 4px;
+            z-index: 1001;
+            pointer-events: none;
         }
 
-        .blog-page-tag {
-            background: var(--surface-color);
-            color: var(--text-secondary);
-            padding: 0.4rem 0.8rem;
-            border-radius: 20px;
-            font-size: 0.85rem;
+        .reading-progress-bar {
+            height: 100%;
+            background: var(--accent-color);
+            transform: scaleX(0);
+            transform-origin: left;
         }
 
-        /* Share buttons */
-        .blog-share {
-            display: flex;
-            align-items: center;
-            gap: 1rem;
-            margin: 3rem 0;
-            padding: 1.5rem;
+        .blog-toc {
+            margin-bottom: 2rem;
+            padding: 1rem 1.5rem;
             background: var(--surface-color);
             border-radius: 12px;
+            font-size: 0.9rem;
         }
 
-        .blog-share-text {
-            font-weight: 500;
+        .blog-toc-title {
+            font-weight: 600;
             color: var(--text-primary);
+            margin-bottom: 0.5rem;
         }
 
-        .blog-share-buttons {
-            display: flex;
+        .blog-toc-list,
+        .blog-toc-list ol {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+        }
+
+        .blog-toc-list ol {
+            padding-left: 1rem;
+        }
+
+        .blog-toc-list a {
+            display: block;
+            padding: 0.25rem 0 0.25rem 0.75rem;
+            border-left: 2px solid transparent;
+            color: var(--text-secondary);
+            text-decoration: none;
+        }
+
+        .blog-toc-list a:hover,
+        .blog-toc-list a.active {
+            color: var(--primary-color);
+        }
+
+        .blog-toc-list a.active {
+            border-left-color: var(--primary-color);
+        }
+
+        /* Wide screens: the contents sit beside the article and follow it */
+        @media (min-width: 1200px) {
+            .blog-page-body {
+                display: grid;
+                grid-template-columns: minmax(0, 1fr) 220px;
+                gap: 3rem;
+                margin-right: calc(-220px - 3rem);
+            }
+
+            .blog-toc {
+                grid-column: 2;
+                grid-row: 1;
+                align-self: start;
+                position: sticky;
+                top: 90px;
+                max-height: calc(100vh - 110px);
+                overflow-y: auto;
+                margin-bottom: 0;
+            }
+        }
+
+        .blog-page-back {
+            display: inline-flex;
+            align-items: center;
+            color: var(--primary-color);
+            text-decoration: none;
+            font-weight: 500;
+            margin-bottom: 2rem;
+            transition: color var(--transition-fast);
+        }
+
+        .blog-page-back:hover {
+            color: var(--accent-color);
+        }
+
+        .blog-page-back::before {
+            content: '←';
+            margin-right: 0.5rem;
+        }
+
+        /* Previous / next and related posts */
+        .blog-post-nav {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 1rem;
+            margin: 3rem 0;
+        }
+
+        .blog-post-nav-link {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            padding: 1rem 1.25rem;
+            background: var(--surface-color);
+            border: 1px solid var(--border-color);
+            border-radius: 12px;
+            text-decoration: none;
+            transition: border-color var(--transition-fast);
+        }
+
+        .blog-post-nav-link:hover,
+        .blog-post-nav-link:focus {
+            border-color: var(--primary-color);
+        }
+
+        .blog-post-nav-link.next {
+            grid-column: 2;
+            text-align: right;
+        }
+
+        .blog-post-nav-label {
+            font-size: 0.85rem;
+            color: var(--text-secondary);
+        }
+
+        .blog-post-nav-title {
+            font-weight: 600;
+            color: var(--primary-color);
+        }
+
+        .blog-related {
+            margin: 3rem 0;
+        }
+
+        .blog-related-title {
+            font-size: 1.4rem;
+            color: var(--text-primary);
+            margin-bottom: 1rem;
+        }
+
+        .blog-related-list {
+            list-style: none;
+            display: grid;
+            gap: 1rem;
+        }
+
+        .blog-related-item {
+            padding: 1rem 1.25rem;
+            background: var(--surface-color);
+            border-radius: 12px;
+        }
+
+        .blog-related-link {
+            font-weight: 600;
+            color: var(--primary-color);
+            text-decoration: none;
+        }
+
+        .blog-related-meta {
+            display: block;
+            font-size: 0.85rem;
+            color: var(--text-secondary);
+            margin: 0.25rem 0 0.5rem;
+        }
+
+        .blog-related-excerpt {
+            color: var(--text-secondary);
+            font-size: 0.95rem;
+        }
+
+        .blog-page-footer {
+            margin-top: 4rem;
+            padding-top: 2rem;
+            border-top: 1px solid var(--border-color);
+            text-align: center;
+            color: var(--text-secondary);
+        }
+
+        .blog-page-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin: 2rem 0;
+        }
+
+        .blog-page-tag {
+            background: var(--surface-color);
+            color: var(--text-secondary);
+            padding: 0.4rem 0.8rem;
+            border-radius: 20px;
+            font-size: 0.85rem;
+        }
+
+        /* Share buttons */
+        .blog-share {
+            display: flex;
+            align-items: center;
+            gap: 1rem;
+            margin: 3rem 0;
+            padding: 1.5rem;
+            background: var(--surface-color);
+            border-radius: 12px;
+        }
+
+        .blog-share-text {
+            font-weight: 500;
+            color: var(--text-primary);
+        }
+
+        .blog-share-buttons {
+            display: flex;
             gap: 0.5rem;
         }
 
@@ -835,18 +2460,31 @@ function generateBlogPageTemplate(blogData, filename) {
                 flex-direction: column;
                 text-align: center;
             }
+
+            .blog-post-nav {
+                grid-template-columns: 1fr;
+            }
+
+            .blog-post-nav-link.next {
+                grid-column: 1;
+            }
         }
     </style>
 </head>
-<body data-theme="light">
+<body>
     <!-- Skip to content link for accessibility -->
     <a href="#main-content" class="skip-link sr-only">Skip to main content</a>
 
+    <!-- Reading progress -->
+    <div class="reading-progress" aria-hidden="true">
+        <div class="reading-progress-bar" id="reading-progress"></div>
+    </div>
+
     <!-- Navigation -->
     <nav class="navbar">
         <div class="container">
             <div class="nav-brand">
-                <a href="../index.html" class="nav-logo">John Doe</a>
+                <a href="../index.html" class="nav-logo">${escapeHtml(config.name || '')}</a>
             </div>
             <button class="hamburger" id="hamburger" aria-label="Toggle navigation menu" aria-expanded="false">
                 <span class="hamburger-line"></span>
@@ -866,7 +2504,7 @@ function generateBlogPageTemplate(blogData, filename) {
                 </ul>
             </div>
             <div class="nav-controls">
-                <button class="theme-toggle" id="theme-toggle" aria-label="Toggle dark mode">
+                <button class="theme-toggle" id="theme-toggle" aria-label="Change theme">
                     <span class="theme-icon">🌙</span>
                 </button>
             </div>
@@ -878,10 +2516,11 @@ function generateBlogPageTemplate(blogData, filename) {
         <header class="blog-page-header">
             <div class="blog-page-container">
                 <a href="../index.html#blogs" class="blog-page-back">Back to Blogs</a>
-                <h1 style="color: white; font-size: 2.5rem; margin-bottom: 1rem; line-height: 1.2;">${blogData.title}</h1>
+                <h1 style="color: white; font-size: 2.5rem; margin-bottom: 1rem; line-height: 1.2;">${escapeHtml(blogData.title)}</h1>
                 <div class="blog-page-meta">
-                    <span class="blog-date">${blogData.date}</span>
-                    <span class="blog-page-category">${blogData.category}</span>
+                    <span class="blog-date">${escapeHtml(blogData.date)}</span>
+                    <span class="blog-reading-time">${formatReadingTime(estimateReadingMinutes(blogData.content || blogData.excerpt))}</span>
+                    <span class="blog-page-category">${escapeHtml(blogData.category)}</span>
                 </div>
             </div>
         </header>
@@ -890,7 +2529,7 @@ function generateBlogPageTemplate(blogData, filename) {
             <!-- Blog Image -->
             ${blogData.image ? `
             <div style="margin-bottom: 3rem;">
-                <img src="${blogData.image}" alt="${blogData.title}" style="width: 100%; height: 400px; object-fit: cover; border-radius: 12px; box-shadow: 0 4px 20px var(--shadow-color);">
+                <img src="${escapeHtml(blogData.image)}" alt="${escapeHtml(blogData.title)}" style="width: 100%; height: 400px; object-fit: cover; border-radius: 12px; box-shadow: 0 4px 20px var(--shadow-color);">
             </div>
             ` : ''}
 
@@ -913,26 +2552,65 @@ function generateBlogPageTemplate(blogData, filename) {
                 </div>
             </div>
 
-            <!-- Blog Content -->
-            <article class="blog-page-content">
-                <div id="blog-content">
-                    <!-- Content will be loaded here -->
-                    <div style="text-align: center; padding: 4rem 0; color: var(--text-secondary);">
-                        <p>Loading blog content...</p>
+            <div class="blog-page-body">
+                <!-- Blog Content -->
+                <article class="blog-page-content">
+                    <div id="blog-content">
+                        <!-- Content will be loaded here -->
+                        <div style="text-align: center; padding: 4rem 0; color: var(--text-secondary);">
+                            <p>Loading blog content...</p>
+                        </div>
                     </div>
-                </div>
-            </article>
+                </article>
+
+                <!-- Table of contents, filled from the post's headings -->
+                <nav class="blog-toc" id="blog-toc" aria-labelledby="blog-toc-title" hidden>
+                    <p class="blog-toc-title" id="blog-toc-title">On this page</p>
+                    <ol class="blog-toc-list"></ol>
+                </nav>
+            </div>
 
             <!-- Tags (if available) -->
             ${blogData.tags && blogData.tags.length > 0 ? `
             <div class="blog-page-tags">
-                ${blogData.tags.map(tag => `<span class="blog-page-tag">${tag}</span>`).join('')}
+                ${blogData.tags.map(tag => `<span class="blog-page-tag">${escapeHtml(tag)}</span>`).join('')}
             </div>
             ` : ''}
 
+            <!-- Previous / next by publish date -->
+            ${adjacent.previous || adjacent.next ? `
+            <nav class="blog-post-nav" aria-label="More posts">
+                ${adjacent.previous ? `
+                <a href="${adjacent.previous.slug}.html" class="blog-post-nav-link previous" rel="prev">
+                    <span class="blog-post-nav-label">← Previous post</span>
+                    <span class="blog-post-nav-title">${escapeHtml(adjacent.previous.data.title)}</span>
+                </a>` : ''}
+                ${adjacent.next ? `
+                <a href="${adjacent.next.slug}.html" class="blog-post-nav-link next" rel="next">
+                    <span class="blog-post-nav-label">Next post →</span>
+                    <span class="blog-post-nav-title">${escapeHtml(adjacent.next.data.title)}</span>
+                </a>` : ''}
+            </nav>
+            ` : ''}
+
+            <!-- Related posts -->
+            ${related.length > 0 ? `
+            <section class="blog-related" aria-labelledby="blog-related-title">
+                <h2 class="blog-related-title" id="blog-related-title">Related posts</h2>
+                <ul class="blog-related-list">
+                    ${related.map(post => `
+                    <li class="blog-related-item">
+                        <a href="${post.slug}.html" class="blog-related-link">${escapeHtml(post.data.title)}</a>
+                        <span class="blog-related-meta">${escapeHtml(post.data.date)} · ${escapeHtml(post.data.category)}</span>
+                        <p class="blog-related-excerpt">${escapeHtml(post.data.excerpt || '')}</p>
+                    </li>`).join('')}
+                </ul>
+            </section>
+            ` : ''}
+
             <!-- Footer -->
             <footer class="blog-page-footer">
-                <p>© 2024 John Doe. All rights reserved.</p>
+                <p>© ${new Date().getFullYear()} ${escapeHtml(config.name || '')}. All rights reserved.</p>
                 <p style="margin-top: 0.5rem;">
                     <a href="../index.html#contact" style="color: var(--primary-color); text-decoration: none;">Get in touch</a> |
                     <a href="../index.html#blogs" style="color: var(--primary-color); text-decoration: none;">More articles</a>
@@ -946,10 +2624,11 @@ function generateBlogPageTemplate(blogData, filename) {
     <script>
         // Blog-specific JavaScript
         document.addEventListener('DOMContentLoaded', function() {
-            // Load blog content from JSON
-            fetch('../blogs/${filename}')
-                .then(response => response.json())
-                .then(blogData => {
+            // Load blog content from the post file (JSON or Markdown)
+            fetch(${JSON.stringify(`../blogs/${filename}`).replace(/</g, '\\u003c')})
+                .then(response => response.text())
+                .then(text => {
+                    const blogData = parseBlogPost(text, ${JSON.stringify(filename).replace(/</g, '\\u003c')});
                     const contentElement = document.getElementById('blog-content');
                     if (blogData.content) {
                         contentElement.innerHTML = blogData.content;
@@ -957,39 +2636,19 @@ function generateBlogPageTemplate(blogData, filename) {
                         // Generate placeholder content if no content field exists
                         contentElement.innerHTML = generatePlaceholderContent(blogData);
                     }
+                    enhanceBlogPost(contentElement, blogData);
                 })
                 .catch(error => {
                     console.error('Error loading blog content:', error);
                     document.getElementById('blog-content').innerHTML = '<p style="color: var(--text-secondary);">Sorry, there was an error loading this blog post.</p>';
                 });
 
-            // Initialize theme toggle for blog page
-            const themeToggle = document.getElementById('theme-toggle');
-            const themeIcon = themeToggle.querySelector('.theme-icon');
-            const body = document.body;
-
-            const savedTheme = localStorage.getItem('theme') || 'light';
-            setTheme(savedTheme);
-
-            themeToggle.addEventListener('click', () => {
-                const currentTheme = body.getAttribute('data-theme') || 'light';
-                const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-                setTheme(newTheme);
-            });
-
-            function setTheme(theme) {
-                body.setAttribute('data-theme', theme);
-                localStorage.setItem('theme', theme);
-                themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
-                themeToggle.setAttribute('aria-label',
-                    theme === 'light' ? 'Switch to dark mode' : 'Switch to light mode'
-                );
-            }
+            bindThemeToggle(document.getElementById('theme-toggle'));
 
             // Share functions
             window.shareOnTwitter = function() {
                 const url = encodeURIComponent(window.location.href);
-                const text = encodeURIComponent('${blogData.title}');
+                const text = encodeURIComponent(${JSON.stringify(blogData.title).replace(/</g, '\\u003c')});
                 window.open(\`https://twitter.com/intent/tweet?url=\${url}&text=\${text}\`, '_blank');
             };
 
@@ -1000,7 +2659,7 @@ function generateBlogPageTemplate(blogData, filename) {
 
             window.shareOnLinkedIn = function() {
                 const url = encodeURIComponent(window.location.href);
-                const title = encodeURIComponent('${blogData.title}');
+                const title = encodeURIComponent(${JSON.stringify(blogData.title).replace(/</g, '\\u003c')});
                 window.open(\`https://www.linkedin.com/sharing/share-offsite/?url=\${url}\`, '_blank');
             };
 
@@ -1017,436 +2676,884 @@ function generateBlogPageTemplate(blogData, filename) {
 </html>`;
 }
 
-function generateBlogPageTemplate(blogData, filename) {
-    const slug = filename.replace('.json', '');
-    const pageTitle = `${blogData.title} | Blog`;
+// Fallback body for posts that only carry an excerpt
+function generatePlaceholderContent(blogData) {
+    return `
+        <p>${escapeHtml(blogData.excerpt)}</p>
+        <p style="color: var(--text-secondary);">The full article is coming soon.</p>
+    `;
+}
 
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="description" content="${blogData.excerpt}">
-    <meta name="keywords" content="blog, ${blogData.category.toLowerCase()}, technology, development">
-    <meta name="author" content="John Doe">
-    <meta name="robots" content="index, follow">
+// ===== BLOG PAGE READING AIDS =====
+// Generated blog pages call enhanceBlogPost() once the post body is in place:
+// heading anchors, a table of contents that follows the reader, and a
+// progress bar. Blog pages aren't translated yet, so their labels are here.
+const READING_WORDS_PER_MINUTE = 200;
+const BLOG_PAGE_LABELS = {
+    readingTime: '{minutes} min read',
+    anchor: 'Copy link to this section',
+    anchorCopied: 'Link copied'
+};
+
+function estimateReadingMinutes(html) {
+    const words = htmlToText(html).split(' ').filter(Boolean).length;
+    return Math.max(1, Math.round(words / READING_WORDS_PER_MINUTE));
+}
 
-    <!-- Open Graph / Facebook -->
-    <meta property="og:type" content="article">
-    <meta property="og:title" content="${blogData.title}">
-    <meta property="og:description" content="${blogData.excerpt}">
-    <meta property="og:image" content="${blogData.image}">
-    <meta property="og:url" content="https://yourwebsite.com/blogpages/${slug}.html">
+function formatReadingTime(minutes) {
+    return BLOG_PAGE_LABELS.readingTime.replace('{minutes}', minutes);
+}
 
-    <!-- Twitter -->
-    <meta property="twitter:card" content="summary_large_image">
-    <meta property="twitter:title" content="${blogData.title}">
-    <meta property="twitter:description" content="${blogData.excerpt}">
-    <meta property="twitter:image" content="${blogData.image}">
+function enhanceBlogPost(contentElement, blogData) {
+    const readingTime = document.querySelector('.blog-reading-time');
+    if (readingTime) {
+        readingTime.textContent = formatReadingTime(estimateReadingMinutes(blogData.content || blogData.excerpt));
+    }
 
-    <title>${pageTitle}</title>
+    const headings = addHeadingAnchors(contentElement);
+    const toc = document.getElementById('blog-toc');
+    if (toc && headings.length >= 2) {
+        buildTableOfContents(toc, headings);
+        highlightTableOfContents(toc, headings);
+    }
+    initReadingProgress(document.getElementById('reading-progress'), contentElement);
 
-    <!-- Favicon -->
-    <link rel="icon" href="../favicon.ico" type="image/x-icon">
+    // The heading a link points at only exists now
+    const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    if (target && contentElement.contains(target)) {
+        target.scrollIntoView();
+    }
+}
 
-    <!-- CSS -->
-    <link rel="stylesheet" href="../styles.css">
+function addHeadingAnchors(contentElement) {
+    const headings = Array.from(contentElement.querySelectorAll('h2, h3'));
+    const usedIds = new Set();
 
-    <style>
-        /* Blog Page Specific Styles */
-        .blog-page-header {
-            background: linear-gradient(135deg, var(--primary-color) 0%, var(--accent-color) 100%);
-            color: white;
-            padding: 4rem 0 3rem;
-            margin-bottom: 3rem;
+    headings.forEach(heading => {
+        if (!heading.id) {
+            const base = slugify(heading.textContent) || 'section';
+            let id = base;
+            for (let n = 2; usedIds.has(id) || document.getElementById(id); n++) {
+                id = `${base}-${n}`;
+            }
+            heading.id = id;
         }
+        usedIds.add(heading.id);
+
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${heading.id}`;
+        anchor.textContent = '#';
+        anchor.setAttribute('aria-label', BLOG_PAGE_LABELS.anchor);
+        heading.appendChild(anchor);
+    });
 
-        .blog-page-container {
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 0 2rem;
-        }
+    contentElement.addEventListener('click', (e) => {
+        const anchor = e.target.closest('.heading-anchor');
+        if (!anchor) return;
 
-        .blog-page-meta {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 2rem;
-            color: var(--text-secondary);
-            font-size: 0.9rem;
+        e.preventDefault();
+        history.replaceState(history.state, '', anchor.getAttribute('href'));
+        anchor.parentElement.scrollIntoView({ behavior: 'smooth' });
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(window.location.href).then(() => {
+                anchor.textContent = '✓';
+                anchor.classList.add('copied');
+                anchor.setAttribute('aria-label', BLOG_PAGE_LABELS.anchorCopied);
+                setTimeout(() => {
+                    anchor.textContent = '#';
+                    anchor.classList.remove('copied');
+                    anchor.setAttribute('aria-label', BLOG_PAGE_LABELS.anchor);
+                }, 2000);
+            }).catch(() => {});
         }
+    });
 
-        .blog-page-category {
-            background: var(--primary-color);
-            color: white;
-            padding: 0.5rem 1rem;
-            border-radius: 20px;
-            font-weight: 500;
-            font-size: 0.85rem;
-        }
+    return headings;
+}
 
-        .blog-page-content {
-            line-height: 1.8;
-            font-size: 1.1rem;
-            color: var(--text-primary);
+// h3s nest under the h2 before them
+function buildTableOfContents(toc, headings) {
+    const list = toc.querySelector('.blog-toc-list');
+    let currentItem = null;
+
+    list.innerHTML = '';
+    headings.forEach(heading => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${heading.id}`;
+        link.textContent = heading.firstChild ? heading.firstChild.textContent.trim() : heading.id;
+        link.setAttribute('data-target', heading.id);
+        item.appendChild(link);
+
+        if (heading.tagName === 'H3' && currentItem) {
+            let sublist = currentItem.querySelector('ol');
+            if (!sublist) {
+                sublist = document.createElement('ol');
+                currentItem.appendChild(sublist);
+            }
+            sublist.appendChild(item);
+        } else {
+            list.appendChild(item);
+            currentItem = item;
         }
+    });
 
-        .blog-page-content h2 {
-            color: var(--primary-color);
-            margin: 2rem 0 1rem;
-            font-size: 1.8rem;
-        }
+    toc.hidden = false;
+}
 
-        .blog-page-content h3 {
-            color: var(--text-primary);
-            margin: 1.5rem 0 0.8rem;
-            font-size: 1.4rem;
-        }
+// The current section is the last heading scrolled past the top of the
+// viewport
+function highlightTableOfContents(toc, headings) {
+    const links = toc.querySelectorAll('a[data-target]');
+    const setActive = (id) => {
+        links.forEach(link => {
+            const isActive = link.getAttribute('data-target') === id;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    };
 
-        .blog-page-content p {
-            margin-bottom: 1.5rem;
-        }
+    if (!('IntersectionObserver' in window)) return;
 
-        .blog-page-content img {
-            max-width: 100%;
-            height: auto;
-            border-radius: 8px;
-            margin: 2rem 0;
-        }
+    const passed = new Set();
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            // Above the observed band means the reader has scrolled past it
+            if (entry.isIntersecting || (entry.rootBounds && entry.boundingClientRect.top < entry.rootBounds.top)) {
+                passed.add(entry.target.id);
+            } else {
+                passed.delete(entry.target.id);
+            }
+        });
+        const current = headings.filter(heading => passed.has(heading.id)).pop();
+        setActive(current ? current.id : headings[0].id);
+    }, {
+        rootMargin: '-90px 0px -60% 0px' // Account for fixed navbar
+    });
 
-        .blog-page-content blockquote {
-            border-left: 4px solid var(--primary-color);
-            margin: 2rem 0;
-            padding: 1rem 2rem;
-            background: var(--surface-color);
-            font-style: italic;
-            color: var(--text-secondary);
-        }
+    headings.forEach(heading => observer.observe(heading));
+}
 
-        .blog-page-content code {
-            background: var(--surface-color);
-            padding: 0.2rem 0.5rem;
-            border-radius: 4px;
-            font-family: 'Courier New', monospace;
-            color: var(--accent-color);
+function initReadingProgress(bar, contentElement) {
+    if (!bar) return;
+
+    let ticking = false;
+    const update = () => {
+        const rect = contentElement.getBoundingClientRect();
+        const scrollable = rect.height - window.innerHeight;
+        const progress = scrollable > 0 ? Math.min(1, Math.max(0, -rect.top / scrollable)) : 1;
+        bar.style.transform = `scaleX(${progress})`;
+        ticking = false;
+    };
+
+    window.addEventListener('scroll', () => {
+        if (!ticking) {
+            ticking = true;
+            requestAnimationFrame(update);
         }
+    }, { passive: true });
+    window.addEventListener('resize', update);
+    update();
+}
 
-        .blog-page-content pre {
-            background: var(--surface-color);
-            padding: 1.5rem;
-            border-radius: 8px;
-            overflow-x: auto;
-            margin: 2rem 0;
-        }
+// ===== MARKDOWN BLOG POSTS =====
+// Posts can be blogs/<slug>.json or blogs/<slug>.md with YAML front matter
+// holding the same fields. Markdown is escaped and rendered to safe HTML.
+const BLOG_POST_EXTENSIONS = ['.json', '.md'];
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-        .blog-page-content pre code {
-            background: none;
-            padding: 0;
-            color: inherit;
-        }
+function isBlogPostFile(file) {
+    const name = file.toLowerCase();
+    return BLOG_POST_EXTENSIONS.some(ext => name.endsWith(ext)) && !name.endsWith('blogs.json');
+}
 
-        .blog-page-back {
-            display: inline-flex;
-            align-items: center;
-            color: var(--primary-color);
-            text-decoration: none;
-            font-weight: 500;
-            margin-bottom: 2rem;
-            transition: color var(--transition-fast);
+function isMarkdownPost(file) {
+    return file.toLowerCase().endsWith('.md');
+}
+
+// "blogs/ai-ethics.json" -> "ai-ethics"
+function blogSlug(file) {
+    return file.split('/').pop().replace(/\.(json|md)$/i, '');
+}
+
+// Turns the raw text of a post file into the blog data object
+function parseBlogPost(text, file) {
+    if (!isMarkdownPost(file)) {
+        return JSON.parse(text);
+    }
+
+    const { data, body } = parseFrontMatter(text);
+    return { ...data, content: renderMarkdown(body) };
+}
+
+// ----- Front matter -----
+function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER_PATTERN);
+    if (!match) return { data: {}, body: text };
+
+    return {
+        data: parseYamlSubset(match[1]),
+        body: text.slice(match[0].length)
+    };
+}
+
+// Supports the YAML our posts need: "key: value" pairs, quoted strings,
+// inline [a, b] lists and "- item" lists.
+function parseYamlSubset(source) {
+    const data = {};
+    let listKey = null;
+
+    source.split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const listItem = line.match(/^\s*-\s+(.*)$/);
+        if (listItem && listKey) {
+            if (!Array.isArray(data[listKey])) data[listKey] = [];
+            data[listKey].push(parseYamlScalar(listItem[1]));
+            return;
         }
 
-        .blog-page-back:hover {
-            color: var(--accent-color);
+        const pair = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+        if (!pair) return;
+
+        const [, key, rawValue] = pair;
+        data[key] = parseYamlScalar(rawValue);
+        listKey = rawValue.trim() === '' ? key : null;
+    });
+
+    return data;
+}
+
+function parseYamlScalar(rawValue) {
+    const value = rawValue.trim();
+
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value.slice(1, -1);
         }
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map(parseYamlScalar) : [];
+    }
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
 
-        .blog-page-back::before {
-            content: '←';
-            margin-right: 0.5rem;
+    return value;
+}
+
+// ----- Block rendering -----
+function renderMarkdown(source) {
+    const lines = source.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
         }
 
-        .blog-page-footer {
-            margin-top: 4rem;
-            padding-top: 2rem;
-            border-top: 1px solid var(--border-color);
-            text-align: center;
-            color: var(--text-secondary);
+        // Fenced code block
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence
+            const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
         }
 
-        .blog-page-tags {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 0.5rem;
-            margin: 2rem 0;
+        // Heading
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            i++;
+            continue;
         }
 
-        .blog-page-tag {
-            background: var(--surface-color);
-            color: var(--text-secondary);
-            padding: 0.4rem 0.8rem;
-            border-radius: 20px;
-            font-size: 0.85rem;
+        // Horizontal rule
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
         }
 
-        /* Share buttons */
-        .blog-share {
-            display: flex;
-            align-items: center;
-            gap: 1rem;
-            margin: 3rem 0;
-            padding: 1.5rem;
-            background: var(--surface-color);
-            border-radius: 12px;
+        // Blockquote
+        if (/^\s{0,3}>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                quote.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            continue;
         }
 
-        .blog-share-text {
-            font-weight: 500;
-            color: var(--text-primary);
+        // Table: header row followed by a |---|---| divider
+        if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1])) {
+            const rows = [line, lines[i + 1]];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                rows.push(lines[i]);
+                i++;
+            }
+            html.push(renderMarkdownTable(rows));
+            continue;
         }
 
-        .blog-share-buttons {
-            display: flex;
-            gap: 0.5rem;
+        // List
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const listLines = [];
+            const baseIndent = line.match(/^\s*/)[0].length;
+            const ordered = isOrderedListItem(line);
+
+            while (i < lines.length) {
+                const current = lines[i];
+                const indent = current.match(/^\s*/)[0].length;
+
+                if (!current.trim()) {
+                    // A blank line only continues the list if more of it follows
+                    const next = lines.slice(i + 1).find(l => l.trim());
+                    const nextIndent = next ? next.match(/^\s*/)[0].length : 0;
+                    if (!next || (nextIndent <= baseIndent && !LIST_ITEM_PATTERN.test(next))) break;
+                } else if (indent <= baseIndent) {
+                    // At the list's own level: a sibling item of the same kind,
+                    // or lazy paragraph continuation of the previous item
+                    if (LIST_ITEM_PATTERN.test(current)) {
+                        if (isOrderedListItem(current) !== ordered) break;
+                    } else if (!lines[i - 1].trim() || isMarkdownBlockStart(current)) {
+                        break;
+                    }
+                }
+                listLines.push(current);
+                i++;
+            }
+            html.push(renderMarkdownList(listLines));
+            continue;
         }
 
-        .share-button {
-            display: inline-flex;
-            align-items: center;
-            justify-content: center;
-            width: 40px;
-            height: 40px;
-            border-radius: 50%;
-            background: var(--primary-color);
-            color: white;
-            text-decoration: none;
-            transition: all var(--transition-fast);
+        // Paragraph
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isMarkdownBlockStart(lines[i]))) {
+            paragraph.push(lines[i]);
+            i++;
         }
+        html.push(`<p>${renderInlineMarkdown(paragraph.join('\n'))}</p>`);
+    }
 
-        .share-button:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 4px 12px var(--shadow-color);
+    return html.join('\n');
+}
+
+function isMarkdownBlockStart(line) {
+    return /^\s*(`{3,}|~{3,})/.test(line) ||
+        /^\s{0,3}#{1,6}\s/.test(line) ||
+        /^\s{0,3}>/.test(line) ||
+        /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+        LIST_ITEM_PATTERN.test(line);
+}
+
+function isOrderedListItem(line) {
+    const marker = line.match(LIST_ITEM_PATTERN);
+    return Boolean(marker) && /\d/.test(marker[2]);
+}
+
+function renderMarkdownList(lines) {
+    const first = lines[0].match(LIST_ITEM_PATTERN);
+    const baseIndent = first[1].length;
+    const ordered = isOrderedListItem(lines[0]);
+    const items = [];
+
+    lines.forEach(line => {
+        const marker = line.match(LIST_ITEM_PATTERN);
+        if (marker && marker[1].length <= baseIndent) {
+            const contentIndent = line.length - marker[3].length;
+            items.push({ contentIndent, lines: [marker[3]] });
+        } else {
+            const item = items[items.length - 1];
+            const indent = line.match(/^\s*/)[0].length;
+            item.lines.push(line.slice(Math.min(indent, item.contentIndent)));
         }
+    });
 
-        .share-button.twitter { background: #1da1f2; }
-        .share-button.facebook { background: #4267b2; }
-        .share-button.linkedin { background: #0077b5; }
-        .share-button.copy { background: var(--accent-color); }
+    const itemsHtml = items.map(item => {
+        // Leading text stays inline; nested lists and blocks render as Markdown
+        const nestedStart = item.lines.findIndex((line, index) =>
+            index > 0 && (!line.trim() || isMarkdownBlockStart(line))
+        );
+        const textLines = nestedStart === -1 ? item.lines : item.lines.slice(0, nestedStart);
+        const rest = nestedStart === -1 ? '' : renderMarkdown(item.lines.slice(nestedStart).join('\n'));
+        return `<li>${renderInlineMarkdown(textLines.join('\n'))}${rest}</li>`;
+    }).join('');
 
-        @media (max-width: 768px) {
-            .blog-page-container {
-                padding: 0 1rem;
-            }
+    if (!ordered) return `<ul>${itemsHtml}</ul>`;
 
-            .blog-page-header {
-                padding: 3rem 0 2rem;
-            }
+    const start = parseInt(first[2], 10);
+    return `<ol${start !== 1 ? ` start="${start}"` : ''}>${itemsHtml}</ol>`;
+}
 
-            .blog-page-meta {
-                flex-direction: column;
-                gap: 1rem;
-                text-align: center;
-            }
+function renderMarkdownTable(rows) {
+    const cells = rows.map(splitMarkdownTableRow);
+    const aligns = cells[1].map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        return left ? 'left' : '';
+    });
+    const renderRow = (row, tag) => `<tr>${aligns.map((align, index) => {
+        const style = align ? ` style="text-align: ${align}"` : '';
+        return `<${tag}${style}>${renderInlineMarkdown(row[index] || '')}</${tag}>`;
+    }).join('')}</tr>`;
+
+    const head = renderRow(cells[0], 'th');
+    const body = cells.slice(2).map(row => renderRow(row, 'td')).join('');
+    return `<table><thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table>`;
+}
 
-            .blog-page-content {
-                font-size: 1rem;
-            }
+function splitMarkdownTableRow(row) {
+    return row.trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .replace(/\\\|/g, '\u0000')
+        .split('|')
+        .map(cell => cell.replace(/\u0000/g, '|').trim());
+}
 
-            .blog-share {
-                flex-direction: column;
-                text-align: center;
-            }
+// ----- Inline rendering -----
+function renderInlineMarkdown(text) {
+    const tokens = [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let output = text
+        // Code spans first so nothing inside them is formatted
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => stash(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, char) => stash(escapeHtml(char)));
+
+    output = escapeHtml(output)
+        // Images: ![alt](src "title")
+        .replace(/!\[([^\]]*)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, alt, src, title) => {
+            const safeSrc = sanitizeMarkdownUrl(src, true);
+            if (!safeSrc) return stash(alt);
+            const titleAttr = title ? ` title="${title}"` : '';
+            return stash(`<img src="${safeSrc}" alt="${alt}"${titleAttr} loading="lazy">`);
+        })
+        // Links: [text](href "title")
+        .replace(/\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, href, title) => {
+            const safeHref = sanitizeMarkdownUrl(href, false);
+            label = renderMarkdownEmphasis(label);
+            if (!safeHref) return label;
+            const titleAttr = title ? ` title="${title}"` : '';
+            const external = /^https?:/i.test(safeHref) ? ' target="_blank" rel="noopener"' : '';
+            return stash(`<a href="${safeHref}"${titleAttr}${external}>${label}</a>`);
+        })
+        // Autolinks: <https://example.com>
+        .replace(/&lt;(https?:\/\/[^\s&]+(?:&amp;[^\s&]+)*)&gt;/g, (match, url) =>
+            stash(`<a href="${url}" target="_blank" rel="noopener">${url}</a>`)
+        )
+        .replace(/ {2,}\n/g, '<br>\n');
+    output = renderMarkdownEmphasis(output);
+
+    // Tokens can nest (a link label holding code), so restore until stable
+    while (/\u0000\d+\u0000/.test(output)) {
+        output = output.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+    return output;
+}
+
+function renderMarkdownEmphasis(html) {
+    return html
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(\*|_)(?=\S)([\s\S]*?\S)\1(?![\w*])/g, '<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+// Returns the (already escaped) URL when it is safe to use, otherwise null
+function sanitizeMarkdownUrl(url, isImage) {
+    const normalized = url.replace(/&amp;/g, '&').replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (!scheme) return url;
+    if (['http', 'https', 'mailto'].includes(scheme[1])) return url;
+    if (isImage && normalized.startsWith('data:image/')) return url;
+    return null;
+}
+
+// ===== BLOG POST DATES =====
+// Post dates are written for humans ("November 15, 2023"); feeds, sorting
+// and scheduling need real dates.
+const MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Accepts "November 15, 2023", "15 November 2023", "July 2023" and ISO
+// dates. Returns a Date at midnight UTC, or null when it can't be read.
+function parsePostDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+        return isNaN(date) ? null : date;
+    }
+
+    const monthFirst = text.match(/^([A-Za-z]+)\.?\s+(?:(\d{1,2})(?:st|nd|rd|th)?,?\s+)?(\d{4})$/);
+    const dayFirst = text.match(/^(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})$/);
+    const [monthName, day, year] = monthFirst
+        ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+        : (dayFirst ? [dayFirst[2], dayFirst[1], dayFirst[3]] : []);
+    if (!monthName) return null;
+
+    const month = MONTH_PREFIXES.indexOf(monthName.slice(0, 3).toLowerCase());
+    if (month === -1) return null;
+
+    return new Date(Date.UTC(Number(year), month, day ? Number(day) : 1));
+}
+
+// ===== BLOG POST STATUS =====
+// 'draft', 'scheduled' (publishAt ahead or unreadable) or 'published'; only
+// published posts show outside preview mode (?preview=1, --preview)
+function postStatus(data, now = new Date()) {
+    if (data.status === 'draft') return 'draft';
+    if (data.publishAt) {
+        const publishAt = parsePostDate(data.publishAt);
+        if (!publishAt || publishAt > now) return 'scheduled';
+    }
+    return 'published';
+}
+
+function isPostPublished(data, now) {
+    return postStatus(data, now) === 'published';
+}
+
+function isPreviewMode() {
+    const params = new URLSearchParams(window.location.search);
+    return params.has('preview') && params.get('preview') !== '0';
+}
+
+// ===== BLOG SEARCH INDEX =====
+// An inverted index over each post's title, tags, category, excerpt and full
+// body. Queries match whole words, prefixes and (for longer words) typos,
+// and results are ranked by field weight and term rarity.
+const SEARCH_FIELD_WEIGHTS = { title: 5, tags: 4, category: 3, excerpt: 2, body: 1 };
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+const SEARCH_MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+
+function tokenizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token && !SEARCH_STOP_WORDS.has(token));
+}
+
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// `documents` are objects with the SEARCH_FIELD_WEIGHTS fields; their array
+// index is the id returned by searchBlogIndex.
+function buildBlogSearchIndex(documents) {
+    const terms = new Map();
+
+    documents.forEach((doc, id) => {
+        Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+            tokenizeSearchText(value).forEach(token => {
+                if (!terms.has(token)) terms.set(token, new Map());
+                const postings = terms.get(token);
+                postings.set(id, (postings.get(id) || 0) + weight);
+            });
+        });
+    });
+
+    return { terms, size: documents.length };
+}
+
+// Returns [{ id, score, terms }] best first. Every query word has to match
+// (exactly, as a prefix or within the typo budget) for a post to count.
+function searchBlogIndex(index, query) {
+    const queryTerms = [...new Set(tokenizeSearchText(query))];
+    if (!index || queryTerms.length === 0) return [];
+
+    let scores = null;
+    const matchedTerms = new Map();
+
+    queryTerms.forEach(queryTerm => {
+        const termScores = new Map();
+
+        expandSearchTerm(index, queryTerm).forEach(({ term, quality }) => {
+            const postings = index.terms.get(term);
+            const rarity = Math.log(1 + index.size / postings.size);
+
+            postings.forEach((weight, id) => {
+                const score = quality * rarity * (1 + Math.log(weight));
+                termScores.set(id, Math.max(termScores.get(id) || 0, score));
+                if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+                matchedTerms.get(id).add(term);
+            });
+        });
+
+        if (scores === null) {
+            scores = termScores;
+            return;
         }
-    </style>
-</head>
-<body data-theme="light">
-    <!-- Skip to content link for accessibility -->
-    <a href="#main-content" class="skip-link sr-only">Skip to main content</a>
+        scores = new Map([...scores]
+            .filter(([id]) => termScores.has(id))
+            .map(([id, score]) => [id, score + termScores.get(id)]));
+    });
 
-    <!-- Navigation -->
-    <nav class="navbar">
-        <div class="container">
-            <div class="nav-brand">
-                <a href="../index.html" class="nav-logo">John Doe</a>
-            </div>
-            <button class="hamburger" id="hamburger" aria-label="Toggle navigation menu" aria-expanded="false">
-                <span class="hamburger-line"></span>
-                <span class="hamburger-line"></span>
-                <span class="hamburger-line"></span>
-            </button>
-            <div class="nav-menu" id="nav-menu">
-                <ul class="nav-list">
-                    <li><a href="../index.html#hero" class="nav-link">Home</a></li>
-                    <li><a href="../index.html#about" class="nav-link">About</a></li>
-                    <li><a href="../index.html#education" class="nav-link">Education</a></li>
-                    <li><a href="../index.html#experience" class="nav-link">Experience</a></li>
-                    <li><a href="../index.html#projects" class="nav-link">Projects</a></li>
-                    <li><a href="../index.html#publications" class="nav-link">Publications</a></li>
-                    <li><a href="../index.html#blogs" class="nav-link">Blogs</a></li>
-                    <li><a href="../index.html#contact" class="nav-link">Contact</a></li>
-                </ul>
-            </div>
-            <div class="nav-controls">
-                <button class="theme-toggle" id="theme-toggle" aria-label="Toggle dark mode">
-                    <span class="theme-icon">🌙</span>
-                </button>
-            </div>
-        </div>
-    </nav>
+    return [...scores]
+        .map(([id, score]) => ({ id, score, terms: [...matchedTerms.get(id)] }))
+        .sort((a, b) => b.score - a.score || a.id - b.id);
+}
 
-    <!-- Main Content -->
-    <main id="main-content">
-        <header class="blog-page-header">
-            <div class="blog-page-container">
-                <a href="../index.html#blogs" class="blog-page-back">Back to Blogs</a>
-                <h1 style="color: white; font-size: 2.5rem; margin-bottom: 1rem; line-height: 1.2;">${blogData.title}</h1>
-                <div class="blog-page-meta">
-                    <span class="blog-date">${blogData.date}</span>
-                    <span class="blog-page-category">${blogData.category}</span>
-                </div>
-            </div>
-        </header>
+function expandSearchTerm(index, queryTerm) {
+    const maxDistance = queryTerm.length >= 8 ? 2 : (queryTerm.length >= 4 ? 1 : 0);
+    const matches = [];
+
+    index.terms.forEach((postings, term) => {
+        if (term === queryTerm) {
+            matches.push({ term, quality: SEARCH_MATCH_QUALITY.exact });
+        } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+            matches.push({ term, quality: SEARCH_MATCH_QUALITY.prefix });
+        } else if (maxDistance > 0 &&
+            Math.abs(term.length - queryTerm.length) <= maxDistance &&
+            editDistance(term, queryTerm, maxDistance) <= maxDistance) {
+            matches.push({ term, quality: SEARCH_MATCH_QUALITY.fuzzy });
+        }
+    });
 
-        <div class="blog-page-container">
-            <!-- Blog Image -->
-            ${blogData.image ? `
-            <div style="margin-bottom: 3rem;">
-                <img src="${blogData.image}" alt="${blogData.title}" style="width: 100%; height: 400px; object-fit: cover; border-radius: 12px; box-shadow: 0 4px 20px var(--shadow-color);">
-            </div>
-            ` : ''}
+    return matches;
+}
 
-            <!-- Share Buttons -->
-            <div class="blog-share">
-                <span class="blog-share-text">Share this article:</span>
-                <div class="blog-share-buttons">
-                    <a href="#" class="share-button twitter" onclick="shareOnTwitter()" aria-label="Share on Twitter">
-                        <span>🐦</span>
-                    </a>
-                    <a href="#" class="share-button facebook" onclick="shareOnFacebook()" aria-label="Share on Facebook">
-                        <span>📘</span>
-                    </a>
-                    <a href="#" class="share-button linkedin" onclick="shareOnLinkedIn()" aria-label="Share on LinkedIn">
-                        <span>💼</span>
-                    </a>
-                    <a href="#" class="share-button copy" onclick="copyLink()" aria-label="Copy link">
-                        <span>📋</span>
-                    </a>
-                </div>
-            </div>
+// Levenshtein distance that gives up once it exceeds `limit`
+function editDistance(a, b, limit) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
 
-            <!-- Blog Content -->
-            <article class="blog-page-content">
-                <div id="blog-content">
-                    <!-- Content will be loaded here -->
-                    <div style="text-align: center; padding: 4rem 0; color: var(--text-secondary);">
-                        <p>Loading blog content...</p>
-                    </div>
-                </div>
-            </article>
+    return previous[b.length];
+}
 
-            <!-- Tags (if available) -->
-            ${blogData.tags && blogData.tags.length > 0 ? `
-            <div class="blog-page-tags">
-                ${blogData.tags.map(tag => `<span class="blog-page-tag">${tag}</span>`).join('')}
-            </div>
-            ` : ''}
+// ----- Result presentation -----
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-            <!-- Footer -->
-            <footer class="blog-page-footer">
-                <p>© 2024 John Doe. All rights reserved.</p>
-                <p style="margin-top: 0.5rem;">
-                    <a href="../index.html#contact" style="color: var(--primary-color); text-decoration: none;">Get in touch</a> |
-                    <a href="../index.html#blogs" style="color: var(--primary-color); text-decoration: none;">More articles</a>
-                </p>
-            </footer>
-        </div>
-    </main>
+function searchTermPattern(terms, flags) {
+    const alternatives = terms.map(escapeRegExp).join('|');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])((?:${alternatives})[\\p{L}\\p{N}]*)`, flags);
+}
 
-    <!-- Scripts -->
-    <script src="../script.js"></script>
-    <script>
-        // Blog-specific JavaScript
-        document.addEventListener('DOMContentLoaded', function() {
-            // Load blog content from JSON
-            fetch('../blogs/${filename}')
-                .then(response => response.json())
-                .then(blogData => {
-                    const contentElement = document.getElementById('blog-content');
-                    if (blogData.content) {
-                        contentElement.innerHTML = blogData.content;
-                    } else {
-                        // Generate placeholder content if no content field exists
-                        contentElement.innerHTML = generatePlaceholderContent(blogData);
-                    }
-                })
-                .catch(error => {
-                    console.error('Error loading blog content:', error);
-                    document.getElementById('blog-content').innerHTML = '<p style="color: var(--text-secondary);">Sorry, there was an error loading this blog post.</p>';
-                });
+// Escapes `text` and wraps words starting with any of `terms` in <mark>
+function highlightTerms(text, terms) {
+    const value = String(text || '');
+    if (terms.length === 0) return escapeHtml(value);
+
+    let html = '';
+    let last = 0;
+    value.replace(searchTermPattern(terms, 'giu'), (match, before, word, offset) => {
+        const start = offset + before.length;
+        html += `${escapeHtml(value.slice(last, start))}<mark>${escapeHtml(word)}</mark>`;
+        last = start + word.length;
+        return match;
+    });
+
+    return html + escapeHtml(value.slice(last));
+}
 
-            // Initialize theme toggle for blog page
-            const themeToggle = document.getElementById('theme-toggle');
-            const themeIcon = themeToggle.querySelector('.theme-icon');
-            const body = document.body;
+// A highlighted window of body text around the first match, or ''
+function buildSearchSnippet(text, terms, radius = 80) {
+    if (!text || terms.length === 0) return '';
 
-            const savedTheme = localStorage.getItem('theme') || 'light';
-            setTheme(savedTheme);
+    const match = searchTermPattern(terms, 'iu').exec(text);
+    if (!match) return '';
+
+    const position = match.index + match[1].length;
+    let start = Math.max(0, position - radius);
+    let end = Math.min(text.length, position + radius * 2);
+
+    // Avoid cutting words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > position ? text.lastIndexOf(' ', end) : end;
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < text.length ? ' …' : '';
+    return `${prefix}${highlightTerms(text.slice(start, end), terms)}${suffix}`;
+}
 
-            themeToggle.addEventListener('click', () => {
-                const currentTheme = body.getAttribute('data-theme') || 'light';
-                const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-                setTheme(newTheme);
-            });
+// ===== RELATED POSTS =====
+// Blog pages link to the posts around them by publish date and to the posts
+// most like them: same category, shared tags and overlapping words (title
+// words count most).
+const RELATED_POSTS_LIMIT = 3;
+const RELATED_POST_WEIGHTS = { category: 2, tag: 1.5, terms: 4 };
+const RELATED_TERM_WEIGHTS = { title: 3, tags: 2, excerpt: 1, body: 1 };
+
+// Posts without a readable date are left out
+function findAdjacentPosts(current, posts) {
+    const dated = posts
+        .map((post, order) => ({ post, order, date: parsePostDate(post.data.date) }))
+        .filter(entry => entry.date)
+        .sort((a, b) => a.date - b.date || a.order - b.order);
+    const index = dated.findIndex(entry => entry.post.slug === current.slug);
+    if (index === -1) return { previous: null, next: null };
+
+    return {
+        previous: index > 0 ? dated[index - 1].post : null,
+        next: index < dated.length - 1 ? dated[index + 1].post : null
+    };
+}
 
-            function setTheme(theme) {
-                body.setAttribute('data-theme', theme);
-                localStorage.setItem('theme', theme);
-                themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
-                themeToggle.setAttribute('aria-label',
-                    theme === 'light' ? 'Switch to dark mode' : 'Switch to light mode'
-                );
-            }
+function findRelatedPosts(current, posts, limit = RELATED_POSTS_LIMIT) {
+    const currentTerms = relatedPostTerms(current.data);
+    const currentTags = new Set(current.data.tags || []);
+
+    return posts
+        .filter(post => post.slug !== current.slug)
+        .map(post => {
+            const sharedTags = (post.data.tags || []).filter(tag => currentTags.has(tag)).length;
+            const score = (post.data.category === current.data.category ? RELATED_POST_WEIGHTS.category : 0)
+                + sharedTags * RELATED_POST_WEIGHTS.tag
+                + cosineSimilarity(currentTerms, relatedPostTerms(post.data)) * RELATED_POST_WEIGHTS.terms;
+            const date = parsePostDate(post.data.date);
+            return { post, score, time: date ? date.getTime() : 0 };
+        })
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || b.time - a.time)
+        .slice(0, limit)
+        .map(entry => entry.post);
+}
 
-            // Share functions
-            window.shareOnTwitter = function() {
-                const url = encodeURIComponent(window.location.href);
-                const text = encodeURIComponent('${blogData.title}');
-                window.open(\`https://twitter.com/intent/tweet?url=\${url}&text=\${text}\`, '_blank');
-            };
+function relatedPostTerms(data) {
+    const terms = new Map();
+    const add = (text, weight) => {
+        tokenizeSearchText(text).forEach(token => {
+            terms.set(token, (terms.get(token) || 0) + weight);
+        });
+    };
 
-            window.shareOnFacebook = function() {
-                const url = encodeURIComponent(window.location.href);
-                window.open(\`https://www.facebook.com/sharer/sharer.php?u=\${url}\`, '_blank');
-            };
+    add(data.title, RELATED_TERM_WEIGHTS.title);
+    add((data.tags || []).join(' '), RELATED_TERM_WEIGHTS.tags);
+    add(data.excerpt, RELATED_TERM_WEIGHTS.excerpt);
+    add(htmlToText(data.content), RELATED_TERM_WEIGHTS.body);
+    return terms;
+}
 
-            window.shareOnLinkedIn = function() {
-                const url = encodeURIComponent(window.location.href);
-                const title = encodeURIComponent('${blogData.title}');
-                window.open(\`https://www.linkedin.com/sharing/share-offsite/?url=\${url}\`, '_blank');
-            };
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    a.forEach((weight, term) => {
+        if (b.has(term)) dot += weight * b.get(term);
+    });
+    if (dot === 0) return 0;
 
-            window.copyLink = function() {
-                navigator.clipboard.writeText(window.location.href).then(() => {
-                    alert('Link copied to clipboard!');
-                }).catch(() => {
-                    alert('Failed to copy link');
-                });
-            };
-        });
-    </script>
-</body>
-</html>`;
+    const norm = terms => Math.sqrt([...terms.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    return dot / (norm(a) * norm(b));
 }
 
 // ===== BLOG SEARCH FUNCTIONALITY =====
-let blogCards = [];
+// The search box, the category/tag facets and the sort order combine; the
+// grid shows config.json "blogs.pageSize" posts at a time with a "Show more"
+// button. Everything but the page count lives in the route
+// (#blogs?q=cloud&category=Tutorial&tag=ai&sort=oldest).
+const BLOG_FACETS = [
+    { key: 'category' },
+    { key: 'tag' }
+];
+const BLOG_SORTS = ['relevance', 'newest', 'oldest', 'title'];
+const BLOG_LIST_DEFAULTS = { pageSize: 9 };
+
+let blogPosts = [];
+let blogSearchIndex = null;
 let searchTimeout;
 let blogGrid;
 let searchInput;
 let searchBtn;
+let blogFilters;
+let loadMoreBtn;
+let blogListSettings = { ...BLOG_LIST_DEFAULTS };
+let blogFilterState = createBlogFilterState();
+let blogVisibleLimit = BLOG_LIST_DEFAULTS.pageSize;
 
 function initBlogSearch() {
     searchInput = document.getElementById('blog-search');
     searchBtn = document.querySelector('.search-btn');
     blogGrid = document.getElementById('blogs-grid');
+    blogFilters = document.getElementById('blog-filters');
+
+    blogFilters.innerHTML = `
+        <div class="facet-groups"></div>
+        <div class="facet-summary">
+            <span class="facet-result-count" aria-live="polite"></span>
+            <label class="blog-sort">
+                ${t('blogs.sortLabel')}
+                <select id="blog-sort" class="blog-sort-select">
+                    ${BLOG_SORTS.map(sort => `<option value="${sort}">${t(`blogs.sort.${sort}`)}</option>`).join('')}
+                </select>
+            </label>
+            <button type="button" class="facet-clear">${t('blogs.clearFilters')}</button>
+        </div>
+    `;
+    const sortSelect = blogFilters.querySelector('#blog-sort');
+
+    loadMoreBtn = document.createElement('button');
+    loadMoreBtn.type = 'button';
+    loadMoreBtn.className = 'btn btn-secondary blogs-load-more';
+    loadMoreBtn.hidden = true;
+    blogGrid.after(loadMoreBtn);
 
     // Load blogs on initialization
     loadBlogs();
@@ -1454,18 +3561,153 @@ function initBlogSearch() {
     // Debounced search
     searchInput.addEventListener('input', () => {
         clearTimeout(searchTimeout);
-        searchTimeout = setTimeout(performSearch, 300);
+        searchTimeout = setTimeout(() => {
+            applyBlogFilters();
+            writeBlogFiltersToUrl({ replace: true });
+        }, 300);
     });
 
-    searchBtn.addEventListener('click', performSearch);
+    searchBtn.addEventListener('click', () => {
+        applyBlogFilters();
+        writeBlogFiltersToUrl({ replace: true });
+    });
 
     // Clear search on escape
     searchInput.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             searchInput.value = '';
-            performSearch();
+            applyBlogFilters();
+            writeBlogFiltersToUrl({ replace: true });
+        }
+    });
+
+    // Facet buttons are re-rendered with new counts, so use delegation
+    blogFilters.addEventListener('click', (e) => {
+        const facetButton = e.target.closest('.facet-btn');
+
+        if (facetButton) {
+            const facetKey = facetButton.getAttribute('data-facet');
+            const value = facetButton.getAttribute('data-value');
+            const selected = blogFilterState[facetKey];
+            if (selected.has(value)) {
+                selected.delete(value);
+            } else {
+                selected.add(value);
+            }
+            applyBlogFilters();
+            writeBlogFiltersToUrl();
+
+            const sameButton = Array.from(blogFilters.querySelectorAll('.facet-btn')).find(button =>
+                button.getAttribute('data-facet') === facetKey && button.getAttribute('data-value') === value
+            );
+            if (sameButton) sameButton.focus();
+        } else if (e.target.closest('.facet-clear')) {
+            blogFilterState = createBlogFilterState();
+            searchInput.value = '';
+            applyBlogFilters();
+            writeBlogFiltersToUrl();
+            searchInput.focus();
         }
     });
+
+    sortSelect.addEventListener('change', () => {
+        blogFilterState.sort = sortSelect.value;
+        applyBlogFilters();
+        writeBlogFiltersToUrl({ replace: true });
+    });
+
+    loadMoreBtn.addEventListener('click', () => {
+        const firstNew = blogVisibleLimit;
+        blogVisibleLimit += blogListSettings.pageSize;
+        applyBlogFilters({ resetPage: false });
+
+        // Move keyboard users to the first card that just appeared
+        const cards = Array.from(blogGrid.querySelectorAll('.blog-card')).filter(card => card.style.display !== 'none');
+        const link = cards[firstNew] && cards[firstNew].querySelector('.blog-read-more');
+        if (link) link.focus();
+    });
+
+    // loadBlogs() applies the filters itself once posts arrive
+    registerRoute(route => {
+        if (route.section !== 'blogs') return;
+
+        blogFilterState = blogFiltersFromParams(route.params);
+        searchInput.value = route.params.get('q') || '';
+        if (blogSearchIndex) applyBlogFilters();
+    });
+}
+
+function createBlogFilterState() {
+    const state = { sort: '' };
+    BLOG_FACETS.forEach(facet => {
+        state[facet.key] = new Set();
+    });
+    return state;
+}
+
+function blogFiltersFromParams(params) {
+    const state = createBlogFilterState();
+
+    BLOG_FACETS.forEach(facet => {
+        params.getAll(facet.key).forEach(value => state[facet.key].add(value));
+    });
+    state.sort = BLOG_SORTS.includes(params.get('sort')) ? params.get('sort') : '';
+    return state;
+}
+
+function writeBlogFiltersToUrl(options) {
+    const params = new URLSearchParams();
+    const query = searchInput.value.trim();
+
+    if (query) params.set('q', query);
+    BLOG_FACETS.forEach(facet => {
+        blogFilterState[facet.key].forEach(value => params.append(facet.key, value));
+    });
+    if (blogFilterState.sort) params.set('sort', blogFilterState.sort);
+
+    updateRoute({ section: 'blogs', params }, options);
+}
+
+function blogFacetValues(post) {
+    return {
+        category: post.data.category ? [post.data.category] : [],
+        tag: post.data.tags || []
+    };
+}
+
+// Facets combine with AND across groups and OR within a group; `skipFacet`
+// lets facet counts ignore their own group's selection
+function matchesBlogFacets(post, state, skipFacet) {
+    const values = blogFacetValues(post);
+    return BLOG_FACETS.every(facet => {
+        if (facet.key === skipFacet || state[facet.key].size === 0) return true;
+        return values[facet.key].some(value => state[facet.key].has(value));
+    });
+}
+
+// Relevance only applies while searching; newest first otherwise
+function effectiveBlogSort(state, isSearching) {
+    if (state.sort && (state.sort !== 'relevance' || isSearching)) return state.sort;
+    return isSearching ? 'relevance' : 'newest';
+}
+
+// `entries` arrive in relevance (or manifest) order, which breaks ties
+function sortBlogEntries(entries, sort) {
+    if (sort === 'relevance') return entries;
+
+    const time = entry => {
+        const date = parsePostDate(blogPosts[entry.id].data.date);
+        return date ? date.getTime() : 0;
+    };
+    const compare = {
+        newest: (a, b) => time(b) - time(a),
+        oldest: (a, b) => time(a) - time(b),
+        title: (a, b) => blogPosts[a.id].data.title.localeCompare(blogPosts[b.id].data.title)
+    }[sort];
+    return entries
+        .map((entry, order) => ({ entry, order }))
+        .sort((a, b) => compare(a.entry, b.entry) || a.order - b.order)
+        .map(({ entry }) => entry);
 }
 
 async function discoverBlogFiles() {
@@ -1485,7 +3727,7 @@ async function discoverBlogFiles() {
                 // Skip parent directory, query strings, and the manifest file itself
                 if (!href || href === '../' || href.startsWith('?') || href.includes('blogs.json')) return;
 
-                if (href.toLowerCase().endsWith('.json')) {
+                if (isBlogPostFile(href)) {
                      // Normalize path: ensure it starts with blogs/ if it's relative
                      let path = href;
                      // If href is just "file.json", prepend blogs/
@@ -1512,9 +3754,10 @@ async function discoverBlogFiles() {
             const response = await fetch('blogs/blogs.json');
             if (response.ok) {
                 const data = await response.json();
-                // Handle simple array format
+                // Handle simple array format; bare slugs are JSON posts,
+                // Markdown posts are listed with their extension ("post.md")
                 if (Array.isArray(data)) {
-                    return data.map(name => `blogs/${name}.json`);
+                    return data.map(name => isBlogPostFile(name) ? `blogs/${name}` : `blogs/${name}.json`);
                 }
             }
         } catch (error) {
@@ -1522,164 +3765,1231 @@ async function discoverBlogFiles() {
         }
     }
 
-    return [...new Set(files)];
+    return [...new Set(files)];
+}
+
+// Load blog posts from discovered files
+async function loadBlogs() {
+    try {
+        const blogFiles = await discoverBlogFiles();
+        const previewMode = isPreviewMode();
+
+        blogGrid.innerHTML = ''; // Clear existing blog cards
+
+        for (const file of blogFiles) {
+            try {
+                const blogResponse = await fetch(file);
+                if (!blogResponse.ok) continue;
+                
+                const blogData = parseBlogPost(await blogResponse.text(), file);
+                if (isDevMode()) {
+                    reportDataErrors(await validateSiteData({ [file]: blogData }));
+                }
+                const status = postStatus(blogData);
+                if (status !== 'published' && !previewMode) continue;
+
+                const blogCard = document.createElement('article');
+                blogCard.className = 'blog-card';
+                // Use placeholder image or add logic to load images if they exist in JSON
+                blogCard.innerHTML = `
+                    <div class="blog-image">
+                        <img src="${escapeHtml(blogData.image)}" alt="${escapeHtml(blogData.title)}" class="blog-img" loading="lazy">
+                    </div>
+                    <div class="blog-content">
+                        <div class="blog-meta">
+                            <span class="blog-date">${escapeHtml(formatDisplayDate(blogData.date))}</span>
+                            <span class="blog-reading-time">${t('blogs.readingTime', { minutes: estimateReadingMinutes(blogData.content || blogData.excerpt) })}</span>
+                            <span class="blog-category">${escapeHtml(blogData.category)}</span>
+                        </div>
+                        ${status !== 'published' ? `
+                        <p class="blog-status blog-status-${status}">${t(`blogs.status.${status}`, { date: formatDisplayDate(blogData.publishAt) })}</p>
+                        ` : ''}
+                        <h3 class="blog-title">${escapeHtml(blogData.title)}</h3>
+                        <p class="blog-excerpt">${escapeHtml(blogData.excerpt)}</p>
+                        <p class="blog-snippet" hidden></p>
+                        <a href="blogpages/${blogSlug(file)}.html" class="blog-read-more">${t('blogs.readMore')}</a>
+                    </div>
+                `;
+
+                blogGrid.appendChild(blogCard);
+                blogPosts.push({
+                    card: blogCard,
+                    file,
+                    data: blogData,
+                    bodyText: htmlToText(blogData.content)
+                });
+            } catch (e) {
+                console.error(`Error loading blog file ${file}:`, e);
+                addToDataErrorOverlay([{ file, path: '$', message: e.message }]);
+            }
+        }
+
+        blogSearchIndex = buildBlogSearchIndex(blogPosts.map(post => ({
+            title: post.data.title,
+            tags: post.data.tags,
+            category: post.data.category,
+            excerpt: post.data.excerpt,
+            body: post.bodyText
+        })));
+
+        applyBlogFilters(); // Initial pass to display the first page
+    } catch (error) {
+        console.error('Error loading blogs:', error);
+    }
+}
+
+function applyBlogFilters({ resetPage = true } = {}) {
+    const state = blogFilterState;
+    const searchTerm = searchInput.value.trim();
+    // Queries made only of stop words or punctuation show every post
+    const isSearching = tokenizeSearchText(searchTerm).length > 0;
+    const searched = isSearching
+        ? searchBlogIndex(blogSearchIndex, searchTerm)
+        : blogPosts.map((post, id) => ({ id, terms: [] }));
+
+    const matches = sortBlogEntries(
+        searched.filter(entry => matchesBlogFacets(blogPosts[entry.id], state)),
+        effectiveBlogSort(state, isSearching)
+    );
+    if (resetPage) blogVisibleLimit = blogListSettings.pageSize;
+
+    const shown = new Set();
+    matches.slice(0, blogVisibleLimit).forEach(entry => {
+        const post = blogPosts[entry.id];
+        post.card.style.display = 'block';
+        blogGrid.appendChild(post.card);
+        if (isSearching) {
+            highlightSearchTerms(post, entry.terms);
+        } else {
+            removeHighlights(post);
+        }
+        shown.add(entry.id);
+    });
+    blogPosts.forEach((post, id) => {
+        if (!shown.has(id)) {
+            post.card.style.display = 'none';
+            removeHighlights(post);
+        }
+    });
+
+    renderBlogFilters(searched, state, isSearching, shown.size, matches.length);
+
+    const remaining = matches.length - shown.size;
+    loadMoreBtn.hidden = remaining <= 0;
+    loadMoreBtn.textContent = t('blogs.loadMore', { remaining });
+
+    const isFiltered = BLOG_FACETS.some(facet => state[facet.key].size > 0);
+    updateNoResultsMessage(matches.length, searchTerm, isFiltered);
+}
+
+// `searched` is every post the search matched, so facet counts reflect it
+function renderBlogFilters(searched, state, isSearching, visibleCount, matchCount) {
+    const searchedPosts = searched.map(entry => blogPosts[entry.id]);
+
+    blogFilters.querySelector('.facet-groups').innerHTML = BLOG_FACETS
+        .map(facet => renderBlogFacet(facet, searchedPosts, state))
+        .join('');
+
+    const sortSelect = blogFilters.querySelector('#blog-sort');
+    sortSelect.querySelector('option[value="relevance"]').disabled = !isSearching;
+    sortSelect.value = effectiveBlogSort(state, isSearching);
+
+    const isFiltered = isSearching || BLOG_FACETS.some(facet => state[facet.key].size > 0);
+    blogFilters.querySelector('.facet-result-count').textContent = visibleCount < matchCount
+        ? t('blogs.showingPage', { visible: visibleCount, matches: matchCount, total: blogPosts.length })
+        : t('blogs.showing', { visible: matchCount, total: blogPosts.length });
+    blogFilters.querySelector('.facet-clear').hidden = !isFiltered;
+}
+
+function renderBlogFacet(facet, searchedPosts, state) {
+    const counts = new Map();
+    searchedPosts
+        .filter(post => matchesBlogFacets(post, state, facet.key))
+        .forEach(post => {
+            new Set(blogFacetValues(post)[facet.key]).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+    const values = new Set(blogPosts.flatMap(post => blogFacetValues(post)[facet.key]));
+    state[facet.key].forEach(value => values.add(value));
+
+    // Most used first
+    const sorted = [...values].sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0) || a.localeCompare(b));
+    if (sorted.length === 0) return '';
+
+    const buttons = sorted.map(value => {
+        const count = counts.get(value) || 0;
+        const isActive = state[facet.key].has(value);
+        return `
+            <button type="button" class="filter-btn facet-btn${isActive ? ' active' : ''}"
+                data-facet="${facet.key}" data-value="${escapeHtml(value)}"
+                aria-pressed="${isActive}"${count === 0 && !isActive ? ' disabled' : ''}>
+                ${escapeHtml(value)} <span class="facet-count">${count}</span>
+            </button>`;
+    }).join('');
+
+    const facetLabel = t(`blogs.facet.${facet.key}`);
+    return `
+        <div class="facet-group" role="group" aria-label="${facetLabel}">
+            <span class="facet-label">${facetLabel}</span>
+            ${buttons}
+        </div>
+    `;
+}
+
+function highlightSearchTerms(post, terms) {
+    const title = post.card.querySelector('.blog-title');
+    const excerpt = post.card.querySelector('.blog-excerpt');
+    const snippet = post.card.querySelector('.blog-snippet');
+
+    title.innerHTML = highlightTerms(post.data.title, terms);
+    excerpt.innerHTML = highlightTerms(post.data.excerpt, terms);
+
+    const snippetHtml = buildSearchSnippet(post.bodyText, terms);
+    snippet.innerHTML = snippetHtml;
+    snippet.hidden = !snippetHtml;
+}
+
+function removeHighlights(post) {
+    const title = post.card.querySelector('.blog-title');
+    const excerpt = post.card.querySelector('.blog-excerpt');
+    const snippet = post.card.querySelector('.blog-snippet');
+
+    // Reset to text content to remove markup
+    title.textContent = post.data.title;
+    excerpt.textContent = post.data.excerpt;
+    snippet.textContent = '';
+    snippet.hidden = true;
+}
+
+function updateNoResultsMessage(count, searchTerm, isFiltered) {
+    let messageElement = blogGrid.querySelector('.no-results');
+
+    if (count === 0 && (searchTerm || isFiltered)) {
+        if (!messageElement) {
+            messageElement = document.createElement('div');
+            messageElement.className = 'no-results';
+            messageElement.style.cssText = `
+                text-align: center;
+                padding: 2rem;
+                color: var(--text-secondary);
+                font-style: italic;
+            `;
+            blogGrid.appendChild(messageElement);
+        }
+        messageElement.textContent = searchTerm
+            ? t('blogs.noResults', { query: searchTerm })
+            : t('blogs.noMatches');
+    } else if (messageElement) {
+        messageElement.remove();
+    }
+}
+
+// ===== PUBLICATION FILTERS =====
+// Facets combine with AND across groups and OR within a group. The active
+// filters live in the route (#publications?year=2023&category=journal&author=Jane+Smith)
+// so a filtered list can be linked to.
+// Facet labels come from the publications.facet.<key> translations.
+const PUBLICATION_FACETS = [
+    { key: 'year' },
+    { key: 'category' },
+    { key: 'author' },
+    { key: 'venue' }
+];
+const PUBLICATION_TEXT_PARAM = 'filter';
+
+let publicationOwner = '';
+let publicationFilterState = createPublicationFilterState();
+
+function createPublicationFilterState() {
+    const state = { text: '' };
+    PUBLICATION_FACETS.forEach(facet => {
+        state[facet.key] = new Set();
+    });
+    return state;
+}
+
+function publicationFacetValues(pub) {
+    const info = describePublication(pub);
+    const owner = publicationOwner.toLowerCase();
+    return {
+        year: info.year ? [String(info.year)] : [],
+        category: pub.category ? [pub.category] : [],
+        author: info.authors
+            .map(author => `${author.given} ${author.family}`.trim())
+            .filter(name => name.toLowerCase() !== owner),
+        venue: info.venue ? [info.venue] : []
+    };
+}
+
+// `skipFacet` lets facet counts ignore their own group's selection
+function matchesPublicationFilters(pub, state, skipFacet) {
+    const values = publicationFacetValues(pub);
+    const facetsMatch = PUBLICATION_FACETS.every(facet => {
+        if (facet.key === skipFacet || state[facet.key].size === 0) return true;
+        return values[facet.key].some(value => state[facet.key].has(value));
+    });
+    if (!facetsMatch) return false;
+
+    const haystack = `${pub.title} ${pub.authors} ${pub.venue}`.toLowerCase();
+    return state.text.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+function countPublicationFacet(facetKey, state) {
+    const counts = new Map();
+    publicationData
+        .filter(pub => matchesPublicationFilters(pub, state, facetKey))
+        .forEach(pub => {
+            new Set(publicationFacetValues(pub)[facetKey]).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+    return counts;
+}
+
+function publicationFiltersFromParams(params) {
+    const state = createPublicationFilterState();
+
+    PUBLICATION_FACETS.forEach(facet => {
+        params.getAll(facet.key).forEach(value => state[facet.key].add(value));
+    });
+    state.text = params.get(PUBLICATION_TEXT_PARAM) || '';
+    return state;
+}
+
+function writePublicationFiltersToUrl(state, options) {
+    const params = new URLSearchParams();
+
+    PUBLICATION_FACETS.forEach(facet => {
+        state[facet.key].forEach(value => params.append(facet.key, value));
+    });
+    if (state.text) params.set(PUBLICATION_TEXT_PARAM, state.text);
+
+    updateRoute({ section: 'publications', params }, options);
+}
+
+// Publication filters were first kept in the query string (?year=2023). The
+// hash router replaced that: old links are rewritten to #publications?...
+// before the router reads the route, and the query form is no longer written.
+function migrateLegacyPublicationQuery() {
+    const query = new URLSearchParams(window.location.search);
+    const keys = [...PUBLICATION_FACETS.map(facet => facet.key), PUBLICATION_TEXT_PARAM];
+    if (!keys.some(key => query.has(key))) return;
+
+    const params = new URLSearchParams();
+    keys.forEach(key => {
+        query.getAll(key).forEach(value => params.append(key, value));
+        query.delete(key);
+    });
+
+    // An explicit route to another section wins over the old filters
+    const current = parseRoute(window.location.hash);
+    const hash = !current.section || current.section === 'publications'
+        ? formatRoute({ section: 'publications', params })
+        : window.location.hash;
+    const search = query.toString();
+    history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${hash}`);
+}
+
+function initPublicationFilters() {
+    const filtersContainer = document.getElementById('publication-filters');
+
+    filtersContainer.innerHTML = `
+        <div class="facet-search">
+            <label for="publication-search" class="sr-only">${t('publications.filterLabel')}</label>
+            <input type="search" id="publication-search" class="search-input" placeholder="${t('publications.filterPlaceholder')}">
+        </div>
+        <div class="facet-groups"></div>
+        <div class="facet-summary">
+            <span class="facet-result-count" aria-live="polite"></span>
+            <button type="button" class="facet-clear">${t('publications.clearFilters')}</button>
+        </div>
+    `;
+
+    const searchField = filtersContainer.querySelector('#publication-search');
+    migrateLegacyPublicationQuery();
+
+    // Use delegation for facet buttons since they are re-rendered with new counts
+    filtersContainer.addEventListener('click', (e) => {
+        const facetButton = e.target.closest('.facet-btn');
+
+        if (facetButton) {
+            const facetKey = facetButton.getAttribute('data-facet');
+            const value = facetButton.getAttribute('data-value');
+            const selected = publicationFilterState[facetKey];
+            if (selected.has(value)) {
+                selected.delete(value);
+            } else {
+                selected.add(value);
+            }
+            applyPublicationFilters();
+            writePublicationFiltersToUrl(publicationFilterState);
+
+            // Facets are re-rendered, so keep keyboard focus on the same button
+            const sameButton = Array.from(filtersContainer.querySelectorAll('.facet-btn')).find(button =>
+                button.getAttribute('data-facet') === facetKey && button.getAttribute('data-value') === value
+            );
+            if (sameButton) sameButton.focus();
+        } else if (e.target.closest('.facet-clear')) {
+            publicationFilterState = createPublicationFilterState();
+            searchField.value = '';
+            applyPublicationFilters();
+            writePublicationFiltersToUrl(publicationFilterState);
+            searchField.focus();
+        }
+    });
+
+    let filterTimeout;
+    searchField.addEventListener('input', () => {
+        clearTimeout(filterTimeout);
+        filterTimeout = setTimeout(() => {
+            publicationFilterState.text = searchField.value.trim();
+            applyPublicationFilters();
+            writePublicationFiltersToUrl(publicationFilterState, { replace: true });
+        }, 200);
+    });
+
+    applyPublicationFilters({ animate: false });
+
+    registerRoute(route => {
+        if (route.section !== 'publications') return;
+
+        publicationFilterState = publicationFiltersFromParams(route.params);
+        searchField.value = publicationFilterState.text;
+        applyPublicationFilters({ animate: false });
+    });
+}
+
+function applyPublicationFilters({ animate = true } = {}) {
+    const filtersContainer = document.getElementById('publication-filters');
+    const publicationsList = document.getElementById('publications-list');
+    const state = publicationFilterState;
+    let visibleCount = 0;
+
+    publicationsList.querySelectorAll('.publication-item').forEach(item => {
+        const pub = publicationData[Number(item.getAttribute('data-index'))];
+
+        if (matchesPublicationFilters(pub, state)) {
+            visibleCount++;
+            const wasHidden = item.style.display === 'none';
+            item.style.display = 'block';
+            if (animate && wasHidden) {
+                // Simple animation reset
+                item.style.opacity = '0';
+                item.style.transform = 'translateY(20px)';
+                requestAnimationFrame(() => {
+                     item.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+                     item.style.opacity = '1';
+                     item.style.transform = 'translateY(0)';
+                });
+            }
+        } else {
+            item.style.display = 'none';
+        }
+    });
+
+    filtersContainer.querySelector('.facet-groups').innerHTML = PUBLICATION_FACETS
+        .map(facet => renderPublicationFacet(facet, state))
+        .join('');
+
+    const isFiltered = state.text !== '' || PUBLICATION_FACETS.some(facet => state[facet.key].size > 0);
+    filtersContainer.querySelector('.facet-result-count').textContent =
+        t('publications.showing', { visible: visibleCount, total: publicationData.length });
+    filtersContainer.querySelector('.facet-clear').hidden = !isFiltered;
+}
+
+function renderPublicationFacet(facet, state) {
+    const counts = countPublicationFacet(facet.key, state);
+    const values = new Set(publicationData.flatMap(pub => publicationFacetValues(pub)[facet.key]));
+    state[facet.key].forEach(value => values.add(value));
+
+    // Years newest first, everything else by how often it appears
+    const sorted = [...values].sort((a, b) => facet.key === 'year'
+        ? b.localeCompare(a)
+        : (counts.get(b) || 0) - (counts.get(a) || 0) || a.localeCompare(b));
+    if (sorted.length === 0) return '';
+
+    const buttons = sorted.map(value => {
+        const count = counts.get(value) || 0;
+        const isActive = state[facet.key].has(value);
+        const label = facet.key === 'category' ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+        return `
+            <button type="button" class="filter-btn facet-btn${isActive ? ' active' : ''}"
+                data-facet="${facet.key}" data-value="${escapeHtml(value)}"
+                aria-pressed="${isActive}"${count === 0 && !isActive ? ' disabled' : ''}>
+                ${escapeHtml(label)} <span class="facet-count">${count}</span>
+            </button>`;
+    }).join('');
+
+    const facetLabel = t(`publications.facet.${facet.key}`);
+    return `
+        <div class="facet-group" role="group" aria-label="${facetLabel}">
+            <span class="facet-label">${facetLabel}</span>
+            ${buttons}
+        </div>
+    `;
+}
+
+// ===== PUBLICATION CITATIONS =====
+// Citations are built from the title/authors/venue/date/category fields of
+// data/publications.json.
+const CITATION_FORMATS = {
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', format: toBibTeX, separator: '\n\n' },
+    ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems', format: toRIS, separator: '\n' },
+    csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/json', format: null, separator: '' },
+    apa: { label: 'APA', extension: 'txt', mimeType: 'text/plain', format: formatApaCitation, separator: '\n\n' },
+    ieee: { label: 'IEEE', extension: 'txt', mimeType: 'text/plain', format: formatIeeeCitation, separator: '\n\n' }
+};
+const AUTHOR_HONORIFICS = /^(dr|prof|professor|mr|mrs|ms)\.?\s+/i;
+const MONTH_ABBREVIATIONS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.', 'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'];
+
+let publicationData = [];
+
+// "John Doe, Dr. Michael Johnson" -> [{ given: 'John', family: 'Doe' }, ...];
+// "A, B and C" and the serial-comma "A, B, and C" split the same way
+function parseAuthorList(authors) {
+    return String(authors || '')
+        .split(/\s*,\s*(?:and\s+)?|\s+and\s+/)
+        .map(name => name.trim().replace(AUTHOR_HONORIFICS, ''))
+        .filter(Boolean)
+        .map(name => {
+            const parts = name.split(/\s+/);
+            return { family: parts.pop(), given: parts.join(' ') };
+        });
+}
+
+function describePublication(pub) {
+    const date = parsePostDate(pub.date);
+    const yearMatch = String(pub.date || '').match(/\d{4}/);
+    return {
+        title: pub.title,
+        authors: parseAuthorList(pub.authors),
+        // "Journal of X, 2023" -> "Journal of X"
+        venue: String(pub.venue || '').replace(/,?\s*\d{4}\s*$/, '').trim(),
+        year: date ? date.getUTCFullYear() : (yearMatch ? Number(yearMatch[0]) : null),
+        month: date ? date.getUTCMonth() : null,
+        kind: pub.category === 'journal' ? 'journal' : (['conference', 'workshop'].includes(pub.category) ? 'proceedings' : 'other')
+    };
+}
+
+// doe2023deep
+function citationKey(pub) {
+    const info = describePublication(pub);
+    const family = info.authors.length ? info.authors[0].family : 'anon';
+    const firstWord = (info.title.toLowerCase().match(/[a-z0-9]{4,}/) || [''])[0];
+    return `${family}${info.year || ''}${firstWord}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function escapeBibTeX(text) {
+    return String(text).replace(/([&%$#_{}])/g, '\\$1');
+}
+
+function toBibTeX(pub) {
+    const info = describePublication(pub);
+    const type = { journal: 'article', proceedings: 'inproceedings', other: 'misc' }[info.kind];
+    const venueField = { journal: 'journal', proceedings: 'booktitle', other: 'howpublished' }[info.kind];
+    const fields = [
+        ['title', info.title],
+        ['author', info.authors.map(author => `${author.family}, ${author.given}`.replace(/, $/, '')).join(' and ')],
+        [venueField, info.venue],
+        ['year', info.year],
+        ['month', info.month !== null ? MONTH_PREFIXES[info.month] : null]
+    ].filter(([, value]) => value !== null && value !== '');
+
+    const body = fields.map(([name, value]) =>
+        name === 'month' ? `  ${name} = ${value}` : `  ${name} = {${escapeBibTeX(value)}}`
+    ).join(',\n');
+    return `@${type}{${citationKey(pub)},\n${body}\n}`;
+}
+
+function toRIS(pub) {
+    const info = describePublication(pub);
+    const type = { journal: 'JOUR', proceedings: 'CONF', other: 'GEN' }[info.kind];
+    const lines = [`TY  - ${type}`];
+
+    info.authors.forEach(author => lines.push(`AU  - ${author.family}, ${author.given}`.replace(/, $/, '')));
+    lines.push(`TI  - ${info.title}`);
+    if (info.venue) lines.push(`${info.kind === 'journal' ? 'JO' : 'T2'}  - ${info.venue}`);
+    if (info.year) {
+        lines.push(`PY  - ${info.year}`);
+        const month = info.month !== null ? String(info.month + 1).padStart(2, '0') : '';
+        lines.push(`DA  - ${info.year}/${month}//`);
+    }
+    lines.push('ER  - ');
+    return lines.join('\n');
+}
+
+function toCslJson(pub) {
+    const info = describePublication(pub);
+    const item = {
+        id: citationKey(pub),
+        type: { journal: 'article-journal', proceedings: 'paper-conference', other: 'article' }[info.kind],
+        title: info.title,
+        author: info.authors.map(author => ({ family: author.family, given: author.given }))
+    };
+    if (info.venue) item['container-title'] = info.venue;
+    if (info.year) {
+        item.issued = { 'date-parts': [info.month !== null ? [info.year, info.month + 1] : [info.year]] };
+    }
+    return item;
+}
+
+function initialsOf(given) {
+    return given.split(/[\s-]+/).filter(Boolean).map(part => `${part[0]}.`).join(' ');
+}
+
+// Doe, J., Smith, J., & Johnson, M. (2023). Title. Venue.
+function formatApaCitation(pub) {
+    const info = describePublication(pub);
+    const names = info.authors.map(author => [author.family, initialsOf(author.given)].filter(Boolean).join(', '));
+    let authorText = names.join(', ');
+    if (names.length === 2) authorText = `${names[0]}, & ${names[1]}`;
+    if (names.length > 2) authorText = `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+
+    const title = info.title.replace(/[.?!]?$/, match => match || '.');
+    const venue = info.venue ? ` ${info.venue}.` : '';
+    return `${authorText} (${info.year || 'n.d.'}). ${title}${venue}`;
+}
+
+// J. Doe, J. Smith, and M. Johnson, "Title," in Venue, Jul. 2023.
+function formatIeeeCitation(pub) {
+    const info = describePublication(pub);
+    const names = info.authors.map(author => [initialsOf(author.given), author.family].filter(Boolean).join(' '));
+    let authorText = names.join(', ');
+    if (names.length === 2) authorText = `${names[0]} and ${names[1]}`;
+    if (names.length > 2) authorText = `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+
+    const date = [info.month !== null ? MONTH_ABBREVIATIONS[info.month] : '', info.year || ''].filter(Boolean).join(' ');
+    const venue = info.venue ? `${info.kind === 'proceedings' ? 'in ' : ''}${info.venue}` : '';
+    return `${authorText}, "${info.title}," ${[venue, date].filter(Boolean).join(', ')}.`;
+}
+
+function formatCitations(pubs, formatKey) {
+    if (formatKey === 'csl') {
+        return JSON.stringify(pubs.map(toCslJson), null, 2);
+    }
+    const format = CITATION_FORMATS[formatKey];
+    return pubs.map(format.format).join(format.separator);
+}
+
+// ----- Citation UI -----
+function initPublicationCitations() {
+    const publicationsList = document.getElementById('publications-list');
+    const exportButton = document.getElementById('citation-export-btn');
+    const exportFormat = document.getElementById('citation-export-format');
+
+    publicationsList.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.cite-toggle');
+        const formatButton = e.target.closest('.citation-format-btn');
+        const copyButton = e.target.closest('.citation-copy-btn');
+
+        if (toggle) {
+            const menu = document.getElementById(toggle.getAttribute('aria-controls'));
+            const isOpen = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!isOpen));
+            menu.hidden = isOpen;
+            if (!isOpen) showCitation(menu, 'bibtex');
+        } else if (formatButton) {
+            showCitation(formatButton.closest('.citation-menu'), formatButton.getAttribute('data-format'));
+        } else if (copyButton) {
+            const output = copyButton.closest('.citation-menu').querySelector('.citation-output');
+            copyToClipboard(output.textContent).then(copied => {
+                flashButtonText(copyButton, copied ? t('citations.copied') : t('citations.copyFailed'));
+            });
+        }
+    });
+
+    exportButton.addEventListener('click', () => {
+        // Only items the current filter leaves visible
+        const visible = Array.from(publicationsList.querySelectorAll('.publication-item'))
+            .filter(item => item.style.display !== 'none')
+            .map(item => publicationData[Number(item.getAttribute('data-index'))]);
+        if (visible.length === 0) return;
+
+        const formatKey = exportFormat.value;
+        const format = CITATION_FORMATS[formatKey];
+        downloadTextFile(`publications.${format.extension}`, formatCitations(visible, formatKey), format.mimeType);
+    });
 }
 
-// Load blog posts from discovered files
-async function loadBlogs() {
-    try {
-        const blogFiles = await discoverBlogFiles();
+function showCitation(menu, formatKey) {
+    const pub = publicationData[Number(menu.getAttribute('data-index'))];
 
-        blogGrid.innerHTML = ''; // Clear existing blog cards
+    menu.querySelectorAll('.citation-format-btn').forEach(button => {
+        const isActive = button.getAttribute('data-format') === formatKey;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+    menu.querySelector('.citation-output').textContent = formatCitations([pub], formatKey);
+}
 
-        for (const file of blogFiles) {
-            try {
-                const blogResponse = await fetch(file);
-                if (!blogResponse.ok) continue;
-                
-                const blogData = await blogResponse.json();
-                generateBlogPageTemplate(blogData, file);
-                const blogCard = document.createElement('article');
-                blogCard.className = 'blog-card';
-                // Use placeholder image or add logic to load images if they exist in JSON
-                blogCard.innerHTML = `
-                    <div class="blog-image">
-                        <img src="${blogData.image}" alt="${blogData.title}" class="blog-img" loading="lazy">
-                    </div>
-                    <div class="blog-content">
-                        <div class="blog-meta">
-                            <span class="blog-date">${blogData.date}</span>
-                            <span class="blog-category">${blogData.category}</span>
-                        </div>
-                        <h3 class="blog-title">${blogData.title}</h3>
-                        <p class="blog-excerpt">${blogData.excerpt}</p>
-                        <a href="${file.replace('.json', '.html').replace('blogs/', 'blogpages/')}" class="blog-read-more">Read More →</a>
-                    </div>
-                `;
+function renderCitationMenu(index) {
+    const formatButtons = Object.entries(CITATION_FORMATS).map(([key, format]) =>
+        `<button type="button" class="citation-format-btn" data-format="${key}" aria-pressed="false">${format.label}</button>`
+    ).join('');
 
-                blogGrid.appendChild(blogCard);
-                blogCards.push(blogCard);
-            } catch (e) {
-                console.error(`Error loading blog file ${file}:`, e);
-            }
-        }
+    return `
+        <div class="citation-menu" id="citation-menu-${index}" data-index="${index}" hidden>
+            <div class="citation-formats" role="group" aria-label="${t('citations.format')}">${formatButtons}</div>
+            <pre class="citation-output" tabindex="0"></pre>
+            <button type="button" class="citation-copy-btn">${t('citations.copy')}</button>
+        </div>
+    `;
+}
 
-        performSearch(); // Initial search to display all blogs
+function copyToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text).then(() => true, () => false);
+    }
+
+    // Fallback for older browsers and insecure origins
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.cssText = 'position:absolute;left:-9999px;';
+    document.body.appendChild(textarea);
+    textarea.select();
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
     } catch (error) {
-        console.error('Error loading blogs:', error);
+        copied = false;
     }
+    document.body.removeChild(textarea);
+    return Promise.resolve(copied);
 }
 
-function performSearch() {
-    const searchTerm = searchInput.value.toLowerCase().trim();
-    let visibleCount = 0;
+function flashButtonText(button, text) {
+    const original = button.textContent;
+    button.textContent = text;
+    setTimeout(() => {
+        button.textContent = original;
+    }, 2000);
+}
 
-    blogCards.forEach(card => {
-        const title = card.querySelector('.blog-title').textContent.toLowerCase();
-        const excerpt = card.querySelector('.blog-excerpt').textContent.toLowerCase();
-        const category = card.querySelector('.blog-category').textContent.toLowerCase();
-        const content = title + ' ' + excerpt + ' ' + category;
+function downloadTextFile(filename, contents, mimeType) {
+    const url = URL.createObjectURL(new Blob([contents], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-        const isVisible = searchTerm === '' || content.includes(searchTerm);
-        card.style.display = isVisible ? 'block' : 'none';
+// ===== STRUCTURED DATA (JSON-LD) =====
+// schema.org descriptions of the site owner, publications, projects and blog
+// posts, built from the same data the page renders. The homepage injects them
+// at runtime; scripts/build-structured-data.js and scripts/build-blogs.js
+// write them into index.html and blogpages/ for crawlers that don't run JS.
+const JSON_LD_CONTEXT = 'https://schema.org';
+const SITE_JSON_LD_ID = 'site-jsonld';
+const PUBLICATION_URL_KEYS = ['doi', 'html', 'pdf', 'arxiv'];
+
+// Resolves a site-relative path ("blogpages/x.html") against config.siteUrl
+function absoluteUrl(siteUrl, relativePath = '') {
+    return new URL(relativePath, `${siteUrl.replace(/\/+$/, '')}/`).href;
+}
 
-        if (isVisible) {
-            visibleCount++;
-            highlightSearchTerms(card, searchTerm);
-        } else {
-            removeHighlights(card);
-        }
+// Placeholder links ("#") and inline data: images are left out
+function jsonLdUrl(siteUrl, value) {
+    if (!value || value === '#' || value.startsWith('data:')) return undefined;
+    if (/^https?:\/\//.test(value)) return value;
+    return siteUrl ? absoluteUrl(siteUrl, value) : undefined;
+}
+
+function personJsonLdId(config) {
+    return config.siteUrl ? absoluteUrl(config.siteUrl, '#person') : '#person';
+}
+
+function buildPersonJsonLd(config) {
+    return compactObject({
+        '@type': 'Person',
+        '@id': personJsonLdId(config),
+        name: config.name,
+        description: config.description,
+        jobTitle: config.tagline,
+        email: config.email ? `mailto:${config.email}` : undefined,
+        url: config.siteUrl ? absoluteUrl(config.siteUrl) : undefined,
+        image: jsonLdUrl(config.siteUrl, config.images && config.images.profile),
+        homeLocation: config.location ? { '@type': 'Place', name: config.location } : undefined,
+        sameAs: (config.social || []).map(link => link.url).filter(url => /^https?:\/\//.test(url))
+    });
+}
+
+function buildPublicationJsonLd(pub, config) {
+    const info = describePublication(pub);
+    const owner = String(config.name || '').toLowerCase();
+    const links = pub.links || {};
+    const urlKey = PUBLICATION_URL_KEYS.find(key => jsonLdUrl(config.siteUrl, links[key]));
+    const month = info.month === null ? '' : `-${String(info.month + 1).padStart(2, '0')}`;
+
+    return compactObject({
+        '@type': 'ScholarlyArticle',
+        headline: info.title,
+        name: info.title,
+        author: info.authors.map(author => {
+            const name = `${author.given} ${author.family}`.trim();
+            return name.toLowerCase() === owner
+                ? { '@id': personJsonLdId(config) }
+                : { '@type': 'Person', name };
+        }),
+        datePublished: info.year ? `${info.year}${month}` : undefined,
+        isPartOf: info.venue
+            ? { '@type': info.kind === 'journal' ? 'Periodical' : 'CreativeWork', name: info.venue }
+            : undefined,
+        genre: pub.category,
+        url: urlKey ? jsonLdUrl(config.siteUrl, links[urlKey]) : undefined
     });
+}
 
-    updateNoResultsMessage(visibleCount, searchTerm);
+// Projects with a code link are SoftwareSourceCode, anything else CreativeWork
+function buildProjectJsonLd(project, config) {
+    const links = project.links || {};
+    const codeRepository = jsonLdUrl(config.siteUrl, links.code);
+
+    return compactObject({
+        '@type': codeRepository ? 'SoftwareSourceCode' : 'CreativeWork',
+        name: project.title,
+        description: project.description,
+        keywords: (project.technologies || []).join(', '),
+        codeRepository,
+        url: jsonLdUrl(config.siteUrl, links.demo),
+        image: jsonLdUrl(config.siteUrl, project.image),
+        author: { '@id': personJsonLdId(config) }
+    });
 }
 
-function highlightSearchTerms(card, searchTerm) {
-    if (!searchTerm) return;
+function buildSiteJsonLd(config, publications, projects) {
+    return {
+        '@context': JSON_LD_CONTEXT,
+        '@graph': [
+            buildPersonJsonLd(config),
+            ...publications.map(pub => buildPublicationJsonLd(pub, config)),
+            ...projects.map(project => buildProjectJsonLd(project, config))
+        ]
+    };
+}
 
-    const title = card.querySelector('.blog-title');
-    const excerpt = card.querySelector('.blog-excerpt');
+function buildBlogPostingJsonLd(blogData, slug, config = {}) {
+    const published = parsePostDate(blogData.date);
+    const updated = parsePostDate(blogData.updated);
+    const pageUrl = config.siteUrl ? absoluteUrl(config.siteUrl, `blogpages/${slug}.html`) : undefined;
+
+    return compactObject({
+        '@context': JSON_LD_CONTEXT,
+        '@type': 'BlogPosting',
+        headline: blogData.title,
+        description: blogData.excerpt,
+        datePublished: published ? published.toISOString().slice(0, 10) : undefined,
+        dateModified: updated ? updated.toISOString().slice(0, 10) : undefined,
+        articleSection: blogData.category,
+        keywords: (blogData.tags || []).join(', '),
+        image: jsonLdUrl(config.siteUrl, blogData.image),
+        url: pageUrl,
+        mainEntityOfPage: pageUrl,
+        author: config.name
+            ? compactObject({ '@type': 'Person', name: config.name, url: config.siteUrl ? absoluteUrl(config.siteUrl) : undefined })
+            : undefined
+    });
+}
 
-    highlightText(title, searchTerm);
-    highlightText(excerpt, searchTerm);
+// "<" is escaped so data containing "</script>" can't close the element early
+function renderJsonLdScript(data, id) {
+    const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json"${id ? ` id="${id}"` : ''}>\n${json}\n</script>`;
 }
 
-function highlightText(element, searchTerm) {
-    // Simple safe highlight
-    const text = element.textContent;
-    if (!searchTerm) {
-            element.innerHTML = text;
-            return;
+// Replaces the copy written into index.html with one from the loaded (and
+// possibly translated) data
+function injectJsonLd(id, data) {
+    let script = document.getElementById(id);
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = id;
+        document.head.appendChild(script);
     }
-    const regex = new RegExp(`(${searchTerm})`, 'gi');
-    element.innerHTML = text.replace(regex, '<mark>$1</mark>');
+    script.textContent = JSON.stringify(data);
 }
 
-function removeHighlights(card) {
-    const title = card.querySelector('.blog-title');
-    const excerpt = card.querySelector('.blog-excerpt');
+// ===== CV EXPORT =====
+// The site data doubles as a CV. buildCv() picks the sections and the level
+// of detail; the renderers turn the result into a printable HTML page, a
+// Markdown file or a JSON Resume (jsonresume.org) document. The "Download CV"
+// panel in the hero and scripts/build-cv.js share them.
+//   brief     titles, organizations and dates
+//   standard  + the overview lines, project descriptions and authors
+//   full      + every detail, technologies and links
+const CV_SECTIONS = ['summary', 'experience', 'education', 'projects', 'publications'];
+const CV_DETAIL_LEVELS = ['brief', 'standard', 'full'];
+const CV_FORMATS = {
+    html: { extension: 'html', mimeType: 'text/html', file: 'cv.html' },
+    markdown: { extension: 'md', mimeType: 'text/markdown', file: 'cv.md' },
+    json: { extension: 'json', mimeType: 'application/json', file: 'resume.json' }
+};
+const CV_LABEL_KEYS = {
+    summary: 'cv.summary',
+    experience: 'experience.title',
+    education: 'education.title',
+    projects: 'projects.title',
+    publications: 'publications.title',
+    technologies: 'cv.technologies'
+};
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+let cvData = null;
+
+// `translate` looks up a locale key: t() on the site, the locale file in Node
+function cvLabels(translate) {
+    const labels = {};
+    Object.entries(CV_LABEL_KEYS).forEach(([name, key]) => {
+        labels[name] = translate(key);
+    });
+    return labels;
+}
 
-    // Reset to text content to remove markup
-    title.innerHTML = title.textContent;
-    excerpt.innerHTML = excerpt.textContent;
+// `data` is { config, education, experience, projects, publications }
+function buildCv(data, { sections = CV_SECTIONS, detail = 'standard' } = {}) {
+    const config = data.config || {};
+    const level = Math.max(CV_DETAIL_LEVELS.indexOf(detail), 0);
+    const standard = level >= 1;
+    const full = level >= 2;
+    const realLink = url => (url && url !== '#' ? url : '');
+
+    const timelineEntries = items => (items || []).map(item => ({
+        title: item.title,
+        organization: item.subtitle || '',
+        date: item.date || '',
+        highlights: [
+            ...(standard ? item.overview || [] : []),
+            ...(full ? item.details || [] : [])
+        ]
+    }));
+
+    const builders = {
+        // brief: the hero one-liner; standard: the first bio paragraph
+        summary: () => {
+            const bio = (config.about && config.about.bio) || [];
+            if (!standard || !bio.length) return [config.description].filter(Boolean);
+            return full ? bio : bio.slice(0, 1);
+        },
+        experience: () => timelineEntries(data.experience),
+        education: () => timelineEntries(data.education),
+        projects: () => (data.projects || []).map(project => ({
+            title: project.title,
+            date: project.date || '',
+            description: standard ? project.description : '',
+            technologies: full ? project.technologies || [] : [],
+            url: full ? realLink(project.links && (project.links.code || project.links.demo)) : ''
+        })),
+        publications: () => (data.publications || []).map(pub => ({
+            title: pub.title,
+            venue: pub.venue || '',
+            date: pub.date || '',
+            authors: standard ? pub.authors || '' : '',
+            url: full ? realLink(pub.links && PUBLICATION_URL_KEYS.map(key => realLink(pub.links[key])).find(Boolean)) : ''
+        }))
+    };
+
+    return {
+        basics: {
+            name: config.name || '',
+            label: config.tagline || '',
+            email: config.email || '',
+            phone: config.phone || '',
+            location: config.location || '',
+            url: config.siteUrl || '',
+            profiles: (config.social || []).map(profile => ({ network: profile.name, url: profile.url }))
+        },
+        sections: CV_SECTIONS
+            .filter(key => sections.includes(key))
+            .map(key => ({ key, entries: builders[key]() }))
+            .filter(section => section.entries.length > 0)
+    };
 }
 
-function updateNoResultsMessage(count, searchTerm) {
-    let messageElement = blogGrid.querySelector('.no-results');
+function cvContactItems(basics) {
+    return [basics.email, basics.phone, basics.location, basics.url, ...basics.profiles.map(profile => profile.url)]
+        .filter(Boolean);
+}
 
-    if (count === 0 && searchTerm) {
-        if (!messageElement) {
-            messageElement = document.createElement('div');
-            messageElement.className = 'no-results';
-            messageElement.style.cssText = `
-                text-align: center;
-                padding: 2rem;
-                color: var(--text-secondary);
-                font-style: italic;
-            `;
-            blogGrid.appendChild(messageElement);
+// ----- Markdown -----
+function renderCvMarkdown(cv, labels) {
+    const lines = [`# ${cv.basics.name}`, ''];
+    if (cv.basics.label) lines.push(`**${cv.basics.label}**`, '');
+    const contact = cvContactItems(cv.basics);
+    if (contact.length) lines.push(contact.join(' · '), '');
+
+    cv.sections.forEach(section => {
+        lines.push(`## ${labels[section.key]}`, '');
+
+        if (section.key === 'summary') {
+            section.entries.forEach(paragraph => lines.push(paragraph, ''));
+            return;
         }
-        messageElement.textContent = `No blog posts found for "${searchTerm}". Try different keywords.`;
-    } else if (messageElement) {
-        messageElement.remove();
-    }
+
+        section.entries.forEach(entry => {
+            const heading = entry.url ? `[${entry.title}](${entry.url})` : entry.title;
+            lines.push(`### ${heading}`);
+            const meta = [entry.organization || entry.venue, entry.date].filter(Boolean).join(' · ');
+            if (meta) lines.push(`*${meta}*`);
+            if (entry.authors) lines.push(entry.authors);
+            if (entry.description) lines.push('', entry.description);
+            if (entry.technologies && entry.technologies.length) {
+                lines.push('', `${labels.technologies}: ${entry.technologies.join(', ')}`);
+            }
+            if (entry.highlights && entry.highlights.length) {
+                lines.push('', ...entry.highlights.map(line => `- ${line}`));
+            }
+            lines.push('');
+        });
+    });
+
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
 }
 
-// ===== PUBLICATION FILTERS =====
-function initPublicationFilters() {
-    const filtersContainer = document.getElementById('publication-filters');
-    const publicationsList = document.getElementById('publications-list');
-    
-    // Use delegation for filter buttons since they are dynamic
-    filtersContainer.addEventListener('click', (e) => {
-        if (e.target.classList.contains('filter-btn')) {
-            const button = e.target;
-            const filter = button.getAttribute('data-filter');
-            
-            // Update active state
-            filtersContainer.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
+// ----- Print HTML -----
+// A standalone page laid out for paper; `autoPrint` opens the print dialog
+// (Save as PDF) as soon as it loads
+function renderCvHtml(cv, labels, { lang = 'en', autoPrint = false } = {}) {
+    const contact = cvContactItems(cv.basics).map(item => {
+        const href = item.includes('@') && !item.includes('/') ? `mailto:${item}` : (/^https?:\/\//.test(item) ? item : '');
+        return href ? `<a href="${escapeHtml(href)}">${escapeHtml(item)}</a>` : escapeHtml(item);
+    });
 
-            const items = publicationsList.querySelectorAll('.publication-item');
-            items.forEach(item => {
-                const year = item.getAttribute('data-year');
-                
-                if (filter === 'all' || year === filter) {
-                    item.style.display = 'block';
-                    // Simple animation reset
-                    item.style.opacity = '0';
-                    item.style.transform = 'translateY(20px)';
-                    requestAnimationFrame(() => {
-                         item.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-                         item.style.opacity = '1';
-                         item.style.transform = 'translateY(0)';
-                    });
-                } else {
-                    item.style.display = 'none';
-                }
+    const renderEntry = entry => {
+        const title = entry.url ? `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</a>` : escapeHtml(entry.title);
+        const place = entry.organization || entry.venue;
+        return `
+            <article class="cv-entry">
+                <header>
+                    <h3>${title}</h3>
+                    ${entry.date ? `<span class="cv-date">${escapeHtml(entry.date)}</span>` : ''}
+                </header>
+                ${place ? `<p class="cv-place">${escapeHtml(place)}</p>` : ''}
+                ${entry.authors ? `<p class="cv-authors">${escapeHtml(entry.authors)}</p>` : ''}
+                ${entry.description ? `<p>${escapeHtml(entry.description)}</p>` : ''}
+                ${entry.technologies && entry.technologies.length
+                    ? `<p class="cv-tech">${escapeHtml(labels.technologies)}: ${escapeHtml(entry.technologies.join(', '))}</p>`
+                    : ''}
+                ${entry.highlights && entry.highlights.length
+                    ? `<ul>${entry.highlights.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+                    : ''}
+            </article>`;
+    };
+
+    const sectionsHtml = cv.sections.map(section => `
+        <section class="cv-section">
+            <h2>${escapeHtml(labels[section.key])}</h2>
+            ${section.key === 'summary'
+                ? section.entries.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')
+                : section.entries.map(renderEntry).join('')}
+        </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(cv.basics.name)} - CV</title>
+    <style>
+        @page { size: A4; margin: 16mm 18mm; }
+        * { box-sizing: border-box; }
+        body { margin: 0 auto; max-width: 800px; padding: 2rem; font: 10.5pt/1.45 Georgia, 'Times New Roman', serif; color: #222; }
+        h1 { margin: 0; font-size: 22pt; }
+        h2 { margin: 1.4em 0 0.5em; padding-bottom: 0.2em; border-bottom: 1px solid #999; font-size: 12pt; text-transform: uppercase; letter-spacing: 0.08em; }
+        h3 { margin: 0; font-size: 11pt; }
+        p { margin: 0.25em 0; }
+        ul { margin: 0.3em 0 0; padding-left: 1.2em; }
+        a { color: inherit; }
+        .cv-label { margin: 0.2em 0; font-size: 12pt; color: #555; }
+        .cv-contact { font-size: 9.5pt; color: #555; }
+        .cv-contact span + span::before { content: ' · '; }
+        .cv-entry { margin-bottom: 0.8em; break-inside: avoid; }
+        .cv-entry header { display: flex; justify-content: space-between; gap: 1em; align-items: baseline; }
+        .cv-date { white-space: nowrap; font-size: 9.5pt; color: #555; }
+        .cv-place, .cv-authors, .cv-tech { font-style: italic; color: #444; }
+        h2 { break-after: avoid; }
+        @media print {
+            body { padding: 0; max-width: none; }
+            a { text-decoration: none; }
+        }
+    </style>
+</head>
+<body>
+    <header class="cv-header">
+        <h1>${escapeHtml(cv.basics.name)}</h1>
+        ${cv.basics.label ? `<p class="cv-label">${escapeHtml(cv.basics.label)}</p>` : ''}
+        <p class="cv-contact">${contact.map(item => `<span>${item}</span>`).join('')}</p>
+    </header>
+    <main>${sectionsHtml}
+    </main>${autoPrint ? `
+    <script>window.addEventListener('load', () => window.print());</script>` : ''}
+</body>
+</html>
+`;
+}
+
+// ----- JSON Resume -----
+// Free-text ranges like "2019 - 2021", "Sep 2021 - Present" become the
+// ISO dates (YYYY or YYYY-MM) JSON Resume expects
+function parseCvDateRange(text) {
+    const toIso = part => {
+        const date = parsePostDate(part);
+        if (date) return date.toISOString().slice(0, /^\d{4}$/.test(part) ? 4 : 7);
+        const year = String(part).match(/\b\d{4}\b/);
+        return year ? year[0] : undefined;
+    };
+    const [start, end] = String(text || '').split(/\s+[-–—]\s+|\s+to\s+/i).map(part => part.trim());
+    return { startDate: toIso(start), endDate: end ? toIso(end) : undefined };
+}
+
+function buildJsonResume(cv) {
+    const section = key => (cv.sections.find(item => item.key === key) || { entries: [] }).entries;
+    const [city, region] = cv.basics.location.split(/\s*,\s*/);
+
+    const resume = compactObject({
+        $schema: JSON_RESUME_SCHEMA,
+        basics: compactObject({
+            name: cv.basics.name,
+            label: cv.basics.label,
+            email: cv.basics.email,
+            phone: cv.basics.phone,
+            url: cv.basics.url,
+            summary: section('summary').join('\n\n'),
+            location: city ? compactObject({ city, region }) : undefined,
+            profiles: cv.basics.profiles.map(profile => ({
+                network: profile.network,
+                url: profile.url,
+                username: profile.url.replace(/\/+$/, '').split('/').pop()
+            }))
+        }),
+        work: section('experience').map(entry => compactObject({
+            name: entry.organization,
+            position: entry.title,
+            ...parseCvDateRange(entry.date),
+            highlights: entry.highlights
+        })),
+        // The schema has no free-form highlights for education, only a score
+        education: section('education').map(entry => {
+            // "Master of Science in Computer Science" -> study type and area
+            const [studyType, area] = entry.title.split(/\s+in\s+/);
+            const score = entry.highlights.find(line => /^GPA\b/i.test(line));
+            return compactObject({
+                institution: entry.organization,
+                studyType,
+                area,
+                ...parseCvDateRange(entry.date),
+                score: score ? score.replace(/^GPA:?\s*/i, '') : undefined
             });
+        }),
+        projects: section('projects').map(entry => compactObject({
+            name: entry.title,
+            description: entry.description,
+            keywords: entry.technologies,
+            url: entry.url,
+            startDate: parseCvDateRange(entry.date).startDate
+        })),
+        publications: section('publications').map(entry => compactObject({
+            name: entry.title,
+            publisher: entry.venue.replace(/,?\s*\d{4}\s*$/, ''),
+            releaseDate: parseCvDateRange(entry.date).startDate,
+            url: entry.url,
+            summary: entry.authors
+        }))
+    });
+
+    return `${JSON.stringify(resume, null, 2)}\n`;
+}
+
+function renderCv(format, cv, labels, options = {}) {
+    switch (format) {
+        case 'html':
+            return renderCvHtml(cv, labels, options);
+        case 'markdown':
+            return renderCvMarkdown(cv, labels);
+        case 'json':
+            return buildJsonResume(cv);
+        default:
+            throw new Error(`Unknown CV format "${format}"`);
+    }
+}
+
+// ----- Download CV panel -----
+function initCvExport() {
+    const toggle = document.getElementById('cv-export-toggle');
+    const panel = document.getElementById('cv-export-panel');
+    if (!toggle || !panel) return;
+
+    panel.innerHTML = `
+        <fieldset class="cv-export-sections">
+            <legend>${t('cv.sections')}</legend>
+            ${CV_SECTIONS.map(key => `
+                <label><input type="checkbox" name="cv-section" value="${key}" checked> ${t(CV_LABEL_KEYS[key])}</label>
+            `).join('')}
+        </fieldset>
+        <label class="cv-export-field">
+            ${t('cv.detail')}
+            <select id="cv-export-detail">
+                ${CV_DETAIL_LEVELS.map(level => `<option value="${level}"${level === 'standard' ? ' selected' : ''}>${t(`cv.detail.${level}`)}</option>`).join('')}
+            </select>
+        </label>
+        <div class="cv-export-formats" role="group" aria-label="${t('cv.format')}">
+            ${Object.keys(CV_FORMATS).map(format => `
+                <button type="button" class="filter-btn" data-cv-format="${format}">${t(`cv.format.${format}`)}</button>
+            `).join('')}
+        </div>
+    `;
+
+    const setOpen = (open) => {
+        toggle.setAttribute('aria-expanded', String(open));
+        panel.hidden = !open;
+    };
+
+    toggle.addEventListener('click', () => {
+        setOpen(panel.hidden);
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            setOpen(false);
+            toggle.focus();
         }
     });
+
+    panel.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-cv-format]');
+        if (!button || !cvData) return;
+
+        const sections = Array.from(panel.querySelectorAll('input[name="cv-section"]:checked')).map(input => input.value);
+        const cv = buildCv(cvData, { sections, detail: panel.querySelector('#cv-export-detail').value });
+        downloadCv(button.getAttribute('data-cv-format'), cv);
+    });
+}
+
+function downloadCv(format, cv) {
+    const labels = cvLabels(t);
+    const { extension, mimeType } = CV_FORMATS[format];
+    const filename = `${slugify(cv.basics.name) || 'cv'}-cv.${extension}`;
+
+    if (format === 'html') {
+        // Print layout opens in a new tab for Save as PDF; a blocked popup gets the file instead
+        const html = renderCvHtml(cv, labels, { lang: currentLocale, autoPrint: true });
+        const url = URL.createObjectURL(new Blob([html], { type: `${mimeType};charset=utf-8` }));
+        const opened = window.open(url, '_blank');
+        if (opened) {
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            return;
+        }
+        URL.revokeObjectURL(url);
+        downloadTextFile(filename, renderCvHtml(cv, labels, { lang: currentLocale }), mimeType);
+        return;
+    }
+
+    downloadTextFile(filename, renderCv(format, cv, labels), mimeType);
 }
 
 // ===== BACK TO TOP BUTTON =====
@@ -1704,33 +5014,355 @@ function initBackToTop() {
 }
 
 // ===== FORM HANDLING =====
+// Messages go out through the adapter named in config.json "contactForm":
+//   mailto  opens the visitor's email app addressed to config.email
+//   json    POSTs the fields as JSON to "endpoint"
+//   form    POSTs them form-encoded (application/x-www-form-urlencoded)
+const CONTACT_FORM_DEFAULTS = {
+    adapter: 'mailto',
+    endpoint: '',
+    minSubmitSeconds: 3,
+    rateLimit: { max: 3, windowMinutes: 10 },
+    timeoutSeconds: 15
+};
+const CONTACT_FIELDS = ['name', 'email', 'subject', 'message'];
+const CONTACT_HONEYPOT_FIELD = 'website';
+const CONTACT_HISTORY_KEY = 'contactSubmissions';
+
+// Per-field rules; "contactForm.validation" in config.json overrides them
+// field by field, e.g. { "message": { "minLength": 50 } }
+const CONTACT_VALIDATION_DEFAULTS = {
+    name: { required: true, maxLength: 100 },
+    email: { required: true, email: true, maxLength: 254 },
+    subject: { required: true, maxLength: 150 },
+    message: { required: true, minLength: 10, maxLength: 5000 }
+};
+const CONTACT_EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const CONTACT_DRAFT_KEY = 'contactDraft';
+const CONTACT_DRAFT_MAX_AGE_DAYS = 30;
+
+const CONTACT_ADAPTERS = {
+    // There is no way to know whether the visitor actually sends the email
+    mailto: async (fields, settings) => {
+        window.location.href = buildMailtoLink(settings.email, fields);
+        return { messageKey: 'form.mailtoOpened', reset: false };
+    },
+    json: (fields, settings) => postContactForm(settings, JSON.stringify(fields), 'application/json'),
+    form: (fields, settings) => postContactForm(settings, new URLSearchParams(fields).toString(), 'application/x-www-form-urlencoded;charset=UTF-8')
+};
+
+let contactFormSettings = { ...CONTACT_FORM_DEFAULTS, validation: mergeContactValidation() };
+
+function buildMailtoLink(email, fields) {
+    return `mailto:${email}?subject=${encodeURIComponent(fields.subject)}&body=${encodeURIComponent(
+        `Name: ${fields.name}\nEmail: ${fields.email}\n\nMessage:\n${fields.message}`
+    )}`;
+}
+
+async function postContactForm(settings, body, contentType) {
+    const headers = { Accept: 'application/json', 'Content-Type': contentType };
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), settings.timeoutSeconds * 1000);
+    try {
+        const response = await fetch(settings.endpoint, { method: 'POST', headers, body, signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`${settings.endpoint} answered HTTP ${response.status}`);
+        }
+        return { messageKey: 'form.sent', reset: true };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Sends through the configured adapter; the saved draft goes only once the
+// message is out, so a failed send can be retried from it
+async function sendContactForm(fields, settings) {
+    const result = await CONTACT_ADAPTERS[settings.adapter](fields, settings);
+    recordContactSubmission(settings);
+    if (result.reset) clearContactDraft();
+    return result;
+}
+
+function mergeContactValidation(overrides = {}) {
+    return Object.fromEntries(CONTACT_FIELDS.map(name => [
+        name,
+        { ...CONTACT_VALIDATION_DEFAULTS[name], ...overrides[name] }
+    ]));
+}
+
+// ----- Validation -----
+// Returns the first broken rule as { key, params } for t(), or null
+function validateContactField(value, rules) {
+    const text = String(value || '').trim();
+
+    if (!text) {
+        return rules.required ? { key: 'form.error.required' } : null;
+    }
+    if (rules.email && !CONTACT_EMAIL_PATTERN.test(text)) {
+        return { key: 'form.error.email' };
+    }
+    if (rules.minLength && text.length < rules.minLength) {
+        return { key: 'form.error.minLength', params: { min: rules.minLength, count: text.length } };
+    }
+    if (rules.maxLength && text.length > rules.maxLength) {
+        return { key: 'form.error.maxLength', params: { max: rules.maxLength, count: text.length } };
+    }
+    if (rules.pattern && !matchesContactPattern(text, rules.pattern)) {
+        return { key: 'form.error.pattern' };
+    }
+    return null;
+}
+
+// A broken pattern in config.json should not block every message
+function matchesContactPattern(text, pattern) {
+    try {
+        return new RegExp(pattern, 'u').test(text);
+    } catch (error) {
+        console.error(`Contact form: invalid validation pattern ${pattern}`, error);
+        return true;
+    }
+}
+
+// ----- Drafts -----
+function readContactDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY));
+        if (!draft || Date.now() - draft.savedAt > CONTACT_DRAFT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+            return null;
+        }
+        return draft;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveContactDraft(fields) {
+    if (CONTACT_FIELDS.every(name => !fields[name])) {
+        clearContactDraft();
+        return;
+    }
+    try {
+        localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify({ fields, savedAt: Date.now() }));
+    } catch (error) {
+        // Storage is unavailable or full; the form works without a draft
+    }
+}
+
+function clearContactDraft() {
+    try {
+        localStorage.removeItem(CONTACT_DRAFT_KEY);
+    } catch (error) {
+        // Nothing could have been saved either
+    }
+}
+
+// ----- Spam guards -----
+function readContactHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(CONTACT_HISTORY_KEY));
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Returns a message to show instead of sending, or null when it may go out
+function checkContactGuards(settings, startedAt) {
+    if ((Date.now() - startedAt) / 1000 < settings.minSubmitSeconds) {
+        return t('form.tooFast');
+    }
+
+    const windowMs = settings.rateLimit.windowMinutes * 60 * 1000;
+    const recent = readContactHistory().filter(time => Date.now() - time < windowMs);
+    if (recent.length >= settings.rateLimit.max) {
+        const minutes = Math.ceil((recent[0] + windowMs - Date.now()) / 60000);
+        return t('form.rateLimited', { minutes });
+    }
+    return null;
+}
+
+// Best effort: the message is already out, so a storage error only loses
+// the rate limit bookkeeping
+function recordContactSubmission(settings) {
+    const windowMs = settings.rateLimit.windowMinutes * 60 * 1000;
+    const recent = readContactHistory().filter(time => Date.now() - time < windowMs);
+    try {
+        localStorage.setItem(CONTACT_HISTORY_KEY, JSON.stringify([...recent, Date.now()]));
+    } catch (error) {
+        // Not recorded
+    }
+}
+
+// ----- Form -----
 function initFormHandling() {
     const contactForm = document.getElementById('contact-form');
+    const submitButton = contactForm.querySelector('.form-submit');
+    const rules = contactFormSettings.validation;
+    const fieldElements = CONTACT_FIELDS.map(name => contactForm.elements[name]);
+    let startedAt = Date.now();
+    let draftTimeout;
+
+    // Inline messages replace the browser's validation bubbles
+    contactForm.noValidate = true;
+    fieldElements.forEach(setUpField);
+    restoreDraft();
+
+    // Errors appear when leaving a field and clear as soon as it is fixed
+    contactForm.addEventListener('focusout', (e) => {
+        if (fieldElements.includes(e.target) && e.target.value !== '') checkField(e.target);
+    });
+
+    contactForm.addEventListener('input', (e) => {
+        if (!fieldElements.includes(e.target)) return;
 
-    contactForm.addEventListener('submit', (e) => {
+        updateCounter(e.target);
+        if (e.target.getAttribute('aria-invalid') === 'true') checkField(e.target);
+
+        clearTimeout(draftTimeout);
+        draftTimeout = setTimeout(() => saveContactDraft(readFields()), 500);
+    });
+
+    contactForm.addEventListener('submit', async (e) => {
         e.preventDefault();
 
+        const settings = contactFormSettings;
         const formData = new FormData(contactForm);
-        const subject = formData.get('subject');
-        const name = formData.get('name');
-        const email = formData.get('email');
-        const message = formData.get('message');
+        const fields = readFields();
+
+        // Bots fill in the hidden field; let them think it worked
+        if (formData.get(CONTACT_HONEYPOT_FIELD)) {
+            showFormMessage(t('form.sent'), 'success');
+            resetForm();
+            return;
+        }
 
-        // Create mailto link
-        const mailtoLink = `mailto:john.doe@example.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(
-            `Name: ${name}\nEmail: ${email}\n\nMessage:\n${message}`
-        )}`;
+        const invalidFields = fieldElements.filter(field => !checkField(field));
+        if (invalidFields.length > 0) {
+            showFormMessage(t('form.fixErrors'), 'error');
+            invalidFields[0].focus();
+            return;
+        }
 
-        // Open email client
-        window.location.href = mailtoLink;
+        const blocked = checkContactGuards(settings, startedAt);
+        if (blocked) {
+            showFormMessage(blocked, 'error');
+            return;
+        }
 
-        // Show success message
-        showFormMessage('Message sent! Your email client should open shortly.', 'success');
+        const adapter = CONTACT_ADAPTERS[settings.adapter];
+        if (!adapter || (settings.adapter !== 'mailto' && !settings.endpoint)) {
+            console.error(`Contact form: adapter "${settings.adapter}" is unknown or has no endpoint`);
+            showFormMessage(t('form.failed', { email: settings.email }), 'error');
+            return;
+        }
 
-        // Reset form
-        contactForm.reset();
+        setSubmitting(true);
+        try {
+            const result = await sendContactForm(fields, settings);
+            showFormMessage(t(result.messageKey), 'success');
+            if (result.reset) {
+                resetForm();
+                startedAt = Date.now();
+            }
+        } catch (error) {
+            console.error('Contact form submission failed:', error);
+            showFormMessage(t('form.failed', { email: settings.email }), 'error');
+        } finally {
+            setSubmitting(false);
+        }
     });
 
+    function readFields() {
+        return Object.fromEntries(fieldElements.map(field => [field.name, field.value]));
+    }
+
+    // Adds the error slot (and a character counter for long text) that the
+    // field's aria-describedby points at
+    function setUpField(field) {
+        const fieldRules = rules[field.name];
+        const describedBy = [];
+
+        if (field.tagName === 'TEXTAREA' && fieldRules.maxLength) {
+            const counter = document.createElement('p');
+            counter.id = `${field.id}-counter`;
+            counter.className = 'form-counter';
+            field.after(counter);
+            describedBy.push(counter.id);
+        }
+
+        const error = document.createElement('p');
+        error.id = `${field.id}-error`;
+        error.className = 'form-error';
+        error.setAttribute('aria-live', 'polite');
+        error.hidden = true;
+        (document.getElementById(`${field.id}-counter`) || field).after(error);
+        describedBy.push(error.id);
+
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+        field.setAttribute('aria-required', String(Boolean(fieldRules.required)));
+        field.required = Boolean(fieldRules.required);
+        updateCounter(field);
+    }
+
+    function checkField(field) {
+        const problem = validateContactField(field.value, rules[field.name]);
+        const error = document.getElementById(`${field.id}-error`);
+
+        field.setAttribute('aria-invalid', String(Boolean(problem)));
+        error.textContent = problem ? t(problem.key, problem.params) : '';
+        error.hidden = !problem;
+        return !problem;
+    }
+
+    function updateCounter(field) {
+        const counter = document.getElementById(`${field.id}-counter`);
+        if (!counter) return;
+
+        const max = rules[field.name].maxLength;
+        counter.textContent = t('form.counter', { count: field.value.trim().length, max });
+        counter.classList.toggle('over-limit', field.value.trim().length > max);
+    }
+
+    function resetForm() {
+        contactForm.reset();
+        clearContactDraft();
+        fieldElements.forEach(field => {
+            field.removeAttribute('aria-invalid');
+            document.getElementById(`${field.id}-error`).hidden = true;
+            updateCounter(field);
+        });
+        const notice = contactForm.querySelector('.form-draft-notice');
+        if (notice) notice.remove();
+    }
+
+    function restoreDraft() {
+        const draft = readContactDraft();
+        if (!draft) return;
+
+        fieldElements.forEach(field => {
+            if (draft.fields[field.name]) field.value = draft.fields[field.name];
+            updateCounter(field);
+        });
+
+        const notice = document.createElement('p');
+        notice.className = 'form-draft-notice';
+        notice.innerHTML = `
+            <span>${t('form.draftRestored')}</span>
+            <button type="button" class="form-draft-discard">${t('form.discardDraft')}</button>
+        `;
+        notice.querySelector('.form-draft-discard').addEventListener('click', () => {
+            resetForm();
+            fieldElements[0].focus();
+        });
+        contactForm.insertBefore(notice, contactForm.firstChild);
+    }
+
+    function setSubmitting(isSubmitting) {
+        submitButton.disabled = isSubmitting;
+        submitButton.setAttribute('aria-busy', String(isSubmitting));
+        submitButton.textContent = t(isSubmitting ? 'form.sending' : 'form.submit');
+    }
+
     function showFormMessage(message, type) {
         // Remove existing message
         const existingMessage = contactForm.querySelector('.form-message');
@@ -1741,6 +5373,7 @@ function initFormHandling() {
         // Create new message
         const messageElement = document.createElement('div');
         messageElement.className = `form-message ${type}`;
+        messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
         messageElement.textContent = message;
         messageElement.style.cssText = `
             padding: 1rem;
@@ -1755,10 +5388,12 @@ function initFormHandling() {
 
         contactForm.appendChild(messageElement);
 
-        // Remove message after 5 seconds
-        setTimeout(() => {
-            messageElement.remove();
-        }, 5000);
+        // Errors stay until the next attempt; success notes fade after 5 seconds
+        if (type === 'success') {
+            setTimeout(() => {
+                messageElement.remove();
+            }, 5000);
+        }
     }
 }
 
@@ -1881,5 +5516,53 @@ function respectReducedMotion() {
 }
 
 // Initialize accessibility features
-detectHighContrast();
-respectReducedMotion();
+if (typeof document !== 'undefined') {
+    detectHighContrast();
+    respectReducedMotion();
+}
+
+// ===== NODE EXPORTS =====
+// The build scripts in scripts/ share these with the browser.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        generateBlogPageTemplate,
+        findAdjacentPosts,
+        findRelatedPosts,
+        escapeHtml,
+        isBlogPostFile,
+        blogSlug,
+        parseBlogPost,
+        parseFrontMatter,
+        renderMarkdown,
+        parsePostDate,
+        postStatus,
+        isPostPublished,
+        DATA_SCHEMAS,
+        BLOG_POST_SCHEMA,
+        REPO_METADATA_FILE,
+        REPO_METADATA_SCHEMA,
+        parseRepoUrl,
+        validateAgainstSchema,
+        validateDataFile,
+        formatValidationError,
+        mergeLocalizedData,
+        absoluteUrl,
+        SITE_JSON_LD_ID,
+        buildSiteJsonLd,
+        buildBlogPostingJsonLd,
+        renderJsonLdScript,
+        parseAuthorList,
+        formatCitations,
+        CONTACT_FORM_DEFAULTS,
+        postContactForm,
+        sendContactForm,
+        saveContactDraft,
+        readContactDraft,
+        CV_SECTIONS,
+        CV_DETAIL_LEVELS,
+        CV_FORMATS,
+        cvLabels,
+        buildCv,
+        renderCv
+    };
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Blog page builder
+ * Renders every post in blogs/ through generateBlogPageTemplate and writes
+ * the result to blogpages/<slug>.html
+ *
+ * Usage:
+ *   node scripts/build-blogs.js              Rebuild every page
+ *   node scripts/build-blogs.js <slug>...    Rebuild only the given posts
+ *   node scripts/build-blogs.js --prune      Also delete pages whose posts are gone
+ *   node scripts/build-blogs.js --preview    Also build drafts and scheduled posts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateBlogPageTemplate } = require('../script.js');
+const { loadConfig } = require('./lib/data');
+const { BLOG_PAGES_DIR, ROOT_DIR, loadPosts } = require('./lib/posts');
+
+const USAGE = `Usage: node scripts/build-blogs.js [--prune] [--preview] [slug...]
+
+  slug        Rebuild only these posts (default: all published posts)
+  --prune     Delete blogpages/*.html that no longer have a published post
+  --preview   Include drafts and posts whose publishAt is still to come
+  --help      Show this message`;
+
+// ===== ARGUMENTS =====
+function parseArgs(argv) {
+    const options = { slugs: [], prune: false, preview: false, help: false };
+
+    argv.forEach(arg => {
+        if (arg === '--prune') {
+            options.prune = true;
+        } else if (arg === '--preview') {
+            options.preview = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.slugs.push(arg.replace(/\.(json|md|html)$/i, ''));
+        }
+    });
+
+    return options;
+}
+
+// ===== BUILD =====
+// `posts` is every post, for the related and previous/next links
+function writePage(post, config, posts) {
+    const html = generateBlogPageTemplate(post.data, post.file, config, posts);
+    const outputPath = path.join(BLOG_PAGES_DIR, `${post.slug}.html`);
+
+    fs.writeFileSync(outputPath, html);
+    return outputPath;
+}
+
+function prunePages(posts) {
+    if (!fs.existsSync(BLOG_PAGES_DIR)) return [];
+
+    const liveSlugs = new Set(posts.map(post => post.slug));
+    const removed = [];
+
+    fs.readdirSync(BLOG_PAGES_DIR)
+        .filter(name => name.endsWith('.html'))
+        .forEach(name => {
+            if (!liveSlugs.has(name.replace(/\.html$/, ''))) {
+                fs.unlinkSync(path.join(BLOG_PAGES_DIR, name));
+                removed.push(name);
+            }
+        });
+
+    return removed;
+}
+
+function build(options) {
+    const config = loadConfig();
+    const posts = loadPosts({ preview: options.preview });
+    let selected = posts;
+
+    if (options.slugs.length > 0) {
+        const missing = options.slugs.filter(slug => !posts.some(post => post.slug === slug));
+        if (missing.length > 0) {
+            const hint = options.preview ? '' : ' (drafts and scheduled posts need --preview)';
+            throw new Error(`No post found for: ${missing.join(', ')}${hint}`);
+        }
+        selected = posts.filter(post => options.slugs.includes(post.slug));
+    }
+
+    fs.mkdirSync(BLOG_PAGES_DIR, { recursive: true });
+
+    selected.forEach(post => {
+        const outputPath = writePage(post, config, posts);
+        console.log(`Wrote ${path.relative(ROOT_DIR, outputPath)}`);
+    });
+
+    if (options.prune) {
+        prunePages(posts).forEach(name => {
+            console.log(`Removed blogpages/${name}`);
+        });
+    }
+}
+
+// ===== CLI =====
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        build(options);
+    } catch (error) {
+        console.error(`build-blogs: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { build, prunePages, writePage };
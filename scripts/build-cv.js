@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * CV builder
+ * Turns data/*.json and data/config.json into a CV: a print layout
+ * (cv/cv.html, open it and Save as PDF), Markdown (cv/cv.md) and a JSON
+ * Resume document (cv/resume.json). The same renderers back the "Download CV"
+ * panel on the homepage.
+ *
+ * Usage:
+ *   node scripts/build-cv.js                                    Every format, every section
+ *   node scripts/build-cv.js --format markdown --detail brief
+ *   node scripts/build-cv.js --sections experience,education --locale de
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DATA_SCHEMAS,
+    CV_SECTIONS,
+    CV_DETAIL_LEVELS,
+    CV_FORMATS,
+    cvLabels,
+    buildCv,
+    renderCv,
+    mergeLocalizedData
+} = require('../script.js');
+const { ROOT_DIR, readJson, writeOutput } = require('./lib/data');
+
+const DEFAULT_OUT_DIR = 'cv';
+const DEFAULT_LOCALE = 'en';
+
+const USAGE = `Usage: node scripts/build-cv.js [options]
+
+  --format <list>     Comma-separated: ${Object.keys(CV_FORMATS).join(', ')} (default: all)
+  --sections <list>   Comma-separated: ${CV_SECTIONS.join(', ')} (default: all)
+  --detail <level>    ${CV_DETAIL_LEVELS.join(', ')} (default: standard)
+  --locale <code>     Use the data/<code>/ overrides and locales/<code>.json labels
+                      (default: ${DEFAULT_LOCALE})
+  --out <dir>         Output directory, relative to the repository root or
+                      absolute (default: ${DEFAULT_OUT_DIR}/)
+  --help              Show this message`;
+
+// ===== ARGUMENTS =====
+function parseList(arg, value, allowed) {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = items.filter(item => !allowed.includes(item));
+    if (!items.length || unknown.length) {
+        throw new Error(`${arg} takes ${allowed.join(', ')}${unknown.length ? ` (not "${unknown.join('", "')}")` : ''}`);
+    }
+    return items;
+}
+
+function parseArgs(argv) {
+    const options = {
+        formats: Object.keys(CV_FORMATS),
+        sections: CV_SECTIONS,
+        detail: 'standard',
+        locale: DEFAULT_LOCALE,
+        out: DEFAULT_OUT_DIR,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!['--format', '--sections', '--detail', '--locale', '--out'].includes(arg)) {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+
+        const value = argv[++i];
+        if (!value) throw new Error(`${arg} needs a value`);
+
+        if (arg === '--format') {
+            options.formats = parseList(arg, value, Object.keys(CV_FORMATS));
+        } else if (arg === '--sections') {
+            options.sections = parseList(arg, value, CV_SECTIONS);
+        } else if (arg === '--detail') {
+            if (!CV_DETAIL_LEVELS.includes(value)) {
+                throw new Error(`--detail takes ${CV_DETAIL_LEVELS.join(', ')}`);
+            }
+            options.detail = value;
+        } else {
+            options[arg.slice(2)] = value;
+        }
+    }
+
+    return options;
+}
+
+// ===== DATA =====
+// The site data as a visitor with this locale sees it
+function loadCvData(locale) {
+    const data = {};
+    Object.keys(DATA_SCHEMAS).forEach(file => {
+        const name = path.basename(file, '.json');
+        const localizedFile = file.replace(/^data\//, `data/${locale}/`);
+        data[name] = fs.existsSync(path.join(ROOT_DIR, localizedFile))
+            ? mergeLocalizedData(readJson(file), readJson(localizedFile))
+            : readJson(file);
+    });
+    return data;
+}
+
+// Labels come from locales/<locale>.json, falling back to English like t() does
+function loadTranslator(locale) {
+    const fallback = readJson(`locales/${DEFAULT_LOCALE}.json`);
+    const localeFile = `locales/${locale}.json`;
+    if (!fs.existsSync(path.join(ROOT_DIR, localeFile))) {
+        throw new Error(`No translations for locale "${locale}" (${localeFile})`);
+    }
+    const translations = readJson(localeFile);
+    return key => translations[key] ?? fallback[key] ?? key;
+}
+
+// ===== BUILD =====
+function buildCvFiles(options = {}) {
+    const locale = options.locale || DEFAULT_LOCALE;
+    const cv = buildCv(loadCvData(locale), { sections: options.sections, detail: options.detail });
+    const labels = cvLabels(loadTranslator(locale));
+    const outDir = options.out || DEFAULT_OUT_DIR;
+
+    return (options.formats || Object.keys(CV_FORMATS)).map(format =>
+        writeOutput(path.join(outDir, CV_FORMATS[format].file), renderCv(format, cv, labels, { lang: locale }))
+    );
+}
+
+// ===== CLI =====
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        buildCvFiles(options).forEach(outputPath => {
+            console.log(`Wrote ${path.relative(ROOT_DIR, outputPath)}`);
+        });
+    } catch (error) {
+        console.error(`build-cv: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildCvFiles, loadCvData };
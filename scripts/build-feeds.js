@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Blog feed builder
+ * Writes feed.xml (RSS 2.0), atom.xml (Atom 1.0) and feed.json (JSON Feed 1.1)
+ * from blogs/blogs.json and the post files
+ *
+ * Usage:
+ *   node scripts/build-feeds.js [--preview]
+ */
+
+const path = require('path');
+const { escapeHtml, parsePostDate } = require('../script.js');
+const { ROOT_DIR, absoluteUrl, loadConfig, writeOutput } = require('./lib/data');
+const { loadPosts } = require('./lib/posts');
+
+const FEED_FILES = {
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+};
+
+const USAGE = `Usage: node scripts/build-feeds.js [--preview]
+
+  --preview   Include drafts and posts whose publishAt is still to come
+  --help      Show this message`;
+
+// ===== ARGUMENTS =====
+function parseArgs(argv) {
+    const options = { preview: false, help: false };
+
+    argv.forEach(arg => {
+        if (arg === '--preview') {
+            options.preview = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+
+    return options;
+}
+
+// ===== FEED ITEMS =====
+// Normalizes posts into the fields every feed format needs, newest first
+function buildFeedItems(posts, siteUrl) {
+    return posts
+        .map(post => {
+            const published = parsePostDate(post.data.date);
+            if (!published) {
+                console.warn(`build-feeds: skipping blogs/${post.file}, unreadable date "${post.data.date}"`);
+                return null;
+            }
+            return {
+                id: absoluteUrl(siteUrl, `blogpages/${post.slug}.html`),
+                url: absoluteUrl(siteUrl, `blogpages/${post.slug}.html`),
+                title: post.data.title,
+                summary: post.data.excerpt || '',
+                content: post.data.content || '',
+                category: post.data.category,
+                tags: post.data.tags || [],
+                image: feedImageUrl(post.data.image, siteUrl),
+                published
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.published - a.published);
+}
+
+// Inline data: images are too large for feed readers, so only real URLs are kept
+function feedImageUrl(image, siteUrl) {
+    if (!image || image.startsWith('data:')) return null;
+    return absoluteUrl(siteUrl, image);
+}
+
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// ===== FORMATS =====
+function renderRss(items, meta) {
+    const itemsXml = items.map(item => `
+    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeHtml(item.summary)}</description>${item.content ? `
+      <content:encoded>${cdata(item.content)}</content:encoded>` : ''}${item.category ? `
+      <category>${escapeHtml(item.category)}</category>` : ''}${item.tags.map(tag => `
+      <category>${escapeHtml(tag)}</category>`).join('')}
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHtml(meta.title)}</title>
+    <link>${escapeHtml(meta.homeUrl)}</link>
+    <description>${escapeHtml(meta.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeHtml(meta.urls.rss)}" rel="self" type="application/rss+xml"/>${items.length ? `
+    <lastBuildDate>${items[0].published.toUTCString()}</lastBuildDate>` : ''}${itemsXml}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(items, meta) {
+    const updated = items.length ? items[0].published : new Date(0);
+    const entriesXml = items.map(item => `
+  <entry>
+    <title>${escapeHtml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(item.url)}"/>
+    <id>${escapeHtml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.published.toISOString()}</updated>
+    <summary>${escapeHtml(item.summary)}</summary>${item.content ? `
+    <content type="html">${escapeHtml(item.content)}</content>` : ''}${[item.category, ...item.tags].filter(Boolean).map(term => `
+    <category term="${escapeHtml(term)}"/>`).join('')}
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(meta.title)}</title>
+  <subtitle>${escapeHtml(meta.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeHtml(meta.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(meta.urls.atom)}"/>
+  <id>${escapeHtml(meta.homeUrl)}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author>
+    <name>${escapeHtml(meta.author)}</name>
+  </author>${entriesXml}
+</feed>
+`;
+}
+
+function renderJsonFeed(items, meta) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: meta.title,
+        home_page_url: meta.homeUrl,
+        feed_url: meta.urls.json,
+        description: meta.description,
+        language: 'en',
+        authors: [{ name: meta.author }],
+        items: items.map(item => {
+            const entry = {
+                id: item.id,
+                url: item.url,
+                title: item.title,
+                summary: item.summary,
+                date_published: item.published.toISOString(),
+                tags: [item.category, ...item.tags].filter(Boolean)
+            };
+            if (item.content) {
+                entry.content_html = item.content;
+            } else {
+                entry.content_text = item.summary;
+            }
+            if (item.image) entry.image = item.image;
+            return entry;
+        })
+    };
+
+    return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+// ===== BUILD =====
+function buildFeeds(options = {}) {
+    const config = loadConfig();
+    if (!config.siteUrl) {
+        throw new Error('data/config.json needs a "siteUrl" to build absolute feed links');
+    }
+
+    const items = buildFeedItems(loadPosts({ preview: options.preview }), config.siteUrl);
+    const meta = {
+        title: `${config.name} - Blog`,
+        description: config.description,
+        author: config.name,
+        homeUrl: absoluteUrl(config.siteUrl, 'index.html#blogs'),
+        urls: {
+            rss: absoluteUrl(config.siteUrl, FEED_FILES.rss),
+            atom: absoluteUrl(config.siteUrl, FEED_FILES.atom),
+            json: absoluteUrl(config.siteUrl, FEED_FILES.json)
+        }
+    };
+
+    return [
+        writeOutput(FEED_FILES.rss, renderRss(items, meta)),
+        writeOutput(FEED_FILES.atom, renderAtom(items, meta)),
+        writeOutput(FEED_FILES.json, renderJsonFeed(items, meta))
+    ];
+}
+
+// ===== CLI =====
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        buildFeeds(options).forEach(outputPath => {
+            console.log(`Wrote ${path.relative(ROOT_DIR, outputPath)}`);
+        });
+    } catch (error) {
+        console.error(`build-feeds: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildFeeds, buildFeedItems, renderRss, renderAtom, renderJsonFeed };
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Repository metadata builder
+ * Looks up the repository behind each project's links.code (stars, main
+ * languages, last commit date, license, latest release) and caches it in
+ * data/repos.json, which the project cards show as badges. Entries younger
+ * than --max-age are kept without asking the provider again, and an entry
+ * whose lookup fails keeps its last cached value.
+ *
+ * Usage:
+ *   node scripts/build-repo-metadata.js                       Ask GitHub
+ *   node scripts/build-repo-metadata.js --provider fixture    Offline, from scripts/fixtures/repos.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { REPO_METADATA_FILE, parseRepoUrl } = require('../script.js');
+const { ROOT_DIR, readJson, writeOutput } = require('./lib/data');
+const { REPO_PROVIDERS, createRepoProvider } = require('./lib/repo-providers');
+
+const DEFAULT_MAX_AGE_HOURS = 24;
+
+const USAGE = `Usage: node scripts/build-repo-metadata.js [options]
+
+  --provider <name>   ${Object.keys(REPO_PROVIDERS).join(', ')}, or a path to a provider module (default: github)
+  --fixture <file>    JSON file the fixture provider answers from
+                      (default: scripts/fixtures/repos.json)
+  --api-url <url>     GitHub API base URL, e.g. a local stand-in server
+  --output <file>     Where to read and write the cache (default: ${REPO_METADATA_FILE})
+  --max-age <hours>   Reuse cached entries younger than this (default: ${DEFAULT_MAX_AGE_HOURS})
+  --force             Ask the provider about every repository
+  --help              Show this message`;
+
+// ===== ARGUMENTS =====
+function parseArgs(argv) {
+    const options = { provider: 'github', maxAge: DEFAULT_MAX_AGE_HOURS, force: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (['--provider', '--fixture', '--api-url', '--output'].includes(arg)) {
+            const value = argv[++i];
+            if (!value) throw new Error(`${arg} needs a value`);
+            options[arg === '--api-url' ? 'apiUrl' : arg.slice(2)] = value;
+        } else if (arg === '--max-age') {
+            const value = Number(argv[++i]);
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error('--max-age needs a number of hours');
+            }
+            options.maxAge = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// ===== CACHE =====
+function readCache(file) {
+    if (!fs.existsSync(path.resolve(ROOT_DIR, file))) return {};
+    return readJson(file).repos || {};
+}
+
+function isFresh(entry, maxAgeHours, now) {
+    const fetchedAt = entry && Date.parse(entry.fetchedAt);
+    return Boolean(fetchedAt) && now - fetchedAt < maxAgeHours * 60 * 60 * 1000;
+}
+
+// ===== BUILD =====
+// One entry per distinct repository, in projects.json order
+function listProjectRepos(projects) {
+    const repos = new Map();
+    projects.forEach(project => {
+        const repo = project.links && parseRepoUrl(project.links.code);
+        if (repo && !repos.has(repo.key)) repos.set(repo.key, repo);
+    });
+    return [...repos.values()];
+}
+
+async function buildRepoMetadata(options = {}) {
+    const provider = options.providerInstance || createRepoProvider(options.provider || 'github', options);
+    const maxAge = options.maxAge ?? DEFAULT_MAX_AGE_HOURS;
+    const now = options.now || Date.now();
+    const output = options.output || REPO_METADATA_FILE;
+    const cache = readCache(output);
+    const repos = {};
+    const summary = { fetched: 0, cached: 0, skipped: 0, failed: 0 };
+
+    for (const repo of listProjectRepos(readJson('data/projects.json'))) {
+        const cached = cache[repo.key];
+        if (!options.force && isFresh(cached, maxAge, now)) {
+            repos[repo.key] = cached;
+            summary.cached++;
+            continue;
+        }
+
+        try {
+            const meta = await provider.fetchRepo(repo);
+            if (meta) {
+                repos[repo.key] = { url: repo.url, ...meta, fetchedAt: new Date(now).toISOString() };
+                summary.fetched++;
+            } else {
+                summary.skipped++;
+            }
+        } catch (error) {
+            console.warn(`build-repo-metadata: ${repo.url}: ${error.message}${cached ? ' (keeping the cached entry)' : ''}`);
+            if (cached) repos[repo.key] = cached;
+            summary.failed++;
+        }
+    }
+
+    const outputPath = writeOutput(output, `${JSON.stringify({ provider: provider.name, repos }, null, 2)}\n`);
+    return { outputPath, summary };
+}
+
+// ===== CLI =====
+async function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        const { outputPath, summary } = await buildRepoMetadata(options);
+        console.log(`Wrote ${path.relative(ROOT_DIR, outputPath)} (${summary.fetched} fetched, ${summary.cached} cached, ${summary.skipped} not found, ${summary.failed} failed)`);
+    } catch (error) {
+        console.error(`build-repo-metadata: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildRepoMetadata, listProjectRepos, isFresh };
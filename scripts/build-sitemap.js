@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Sitemap builder
+ * Writes sitemap.xml (the home page and every blog page) and robots.txt
+ * pointing crawlers at it. URLs are absolute, built from siteUrl in
+ * data/config.json
+ *
+ * Usage:
+ *   node scripts/build-sitemap.js [--preview]
+ */
+
+const path = require('path');
+const { escapeHtml, parsePostDate } = require('../script.js');
+const { ROOT_DIR, absoluteUrl, loadConfig, writeOutput } = require('./lib/data');
+const { loadPosts } = require('./lib/posts');
+
+const SITEMAP_FILE = 'sitemap.xml';
+const ROBOTS_FILE = 'robots.txt';
+
+const USAGE = `Usage: node scripts/build-sitemap.js [--preview]
+
+  --preview   Include drafts and posts whose publishAt is still to come
+  --help      Show this message`;
+
+// ===== ARGUMENTS =====
+function parseArgs(argv) {
+    const options = { preview: false, help: false };
+
+    argv.forEach(arg => {
+        if (arg === '--preview') {
+            options.preview = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+
+    return options;
+}
+
+// ===== PAGES =====
+// Every page the site publishes, as { path, lastmod }; pages generated by
+// other build scripts belong here too
+function collectPages(posts) {
+    const postPages = posts.map(post => ({
+        path: `blogpages/${post.slug}.html`,
+        lastmod: pageDate(post.data.updated || post.data.date, post.file)
+    }));
+
+    // The home page lists the posts, so it changes when the newest one does
+    const newest = postPages
+        .map(page => page.lastmod)
+        .filter(Boolean)
+        .sort()
+        .pop();
+
+    return [{ path: '', lastmod: newest || null }, ...postPages];
+}
+
+function pageDate(value, file) {
+    const date = parsePostDate(value);
+    if (!date) {
+        console.warn(`build-sitemap: no lastmod for blogs/${file}, unreadable date "${value}"`);
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// ===== FORMATS =====
+function renderSitemap(pages, siteUrl) {
+    const urlsXml = pages.map(page => `
+  <url>
+    <loc>${escapeHtml(absoluteUrl(siteUrl, page.path))}</loc>${page.lastmod ? `
+    <lastmod>${page.lastmod}</lastmod>` : ''}
+  </url>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urlsXml}
+</urlset>
+`;
+}
+
+function renderRobots(siteUrl) {
+    return `User-agent: *
+Allow: /
+
+Sitemap: ${absoluteUrl(siteUrl, SITEMAP_FILE)}
+`;
+}
+
+// ===== BUILD =====
+function buildSitemap(options = {}) {
+    const config = loadConfig();
+    if (!config.siteUrl) {
+        throw new Error('data/config.json needs a "siteUrl" to build absolute sitemap links');
+    }
+
+    const pages = collectPages(loadPosts({ preview: options.preview }));
+    return [
+        writeOutput(SITEMAP_FILE, renderSitemap(pages, config.siteUrl)),
+        writeOutput(ROBOTS_FILE, renderRobots(config.siteUrl))
+    ];
+}
+
+// ===== CLI =====
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        buildSitemap(options).forEach(outputPath => {
+            console.log(`Wrote ${path.relative(ROOT_DIR, outputPath)}`);
+        });
+    } catch (error) {
+        console.error(`build-sitemap: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildSitemap, collectPages, renderSitemap, renderRobots };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Structured data builder
+ * Writes the schema.org JSON-LD for the site owner, publications and projects
+ * into index.html, so crawlers that don't run JavaScript still see it. The
+ * page replaces it at runtime with the same data in the visitor's language.
+ *
+ * Usage:
+ *   node scripts/build-structured-data.js           Update index.html
+ *   node scripts/build-structured-data.js --check   Exit 1 if index.html is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SITE_JSON_LD_ID, buildSiteJsonLd, renderJsonLdScript } = require('../script.js');
+const { ROOT_DIR, loadConfig, readJson } = require('./lib/data');
+
+const INDEX_FILE = path.join(ROOT_DIR, 'index.html');
+const BLOCK_PATTERN = new RegExp(`[ \\t]*<script type="application/ld\\+json" id="${SITE_JSON_LD_ID}">[\\s\\S]*?</script>`);
+
+const USAGE = `Usage: node scripts/build-structured-data.js [--check]
+
+  --check    Don't write; exit 1 if index.html needs rebuilding
+  --help     Show this message`;
+
+// ===== BUILD =====
+function renderSiteBlock() {
+    const config = loadConfig();
+    const data = buildSiteJsonLd(config, readJson('data/publications.json'), readJson('data/projects.json'));
+    return `    ${renderJsonLdScript(data, SITE_JSON_LD_ID)}`;
+}
+
+// Replaces the existing block, or adds one at the end of <head>
+function updateIndexHtml(html, block) {
+    if (BLOCK_PATTERN.test(html)) {
+        return html.replace(BLOCK_PATTERN, () => block);
+    }
+    if (!html.includes('</head>')) {
+        throw new Error('index.html has no </head> to add the structured data to');
+    }
+    return html.replace('</head>', () => `\n    <!-- Structured data (scripts/build-structured-data.js) -->\n${block}\n</head>`);
+}
+
+// ===== CLI =====
+function main() {
+    try {
+        const args = process.argv.slice(2);
+        if (args.includes('--help') || args.includes('-h')) {
+            console.log(USAGE);
+            return;
+        }
+        const unknown = args.find(arg => arg !== '--check');
+        if (unknown) {
+            throw new Error(`Unknown option: ${unknown}`);
+        }
+
+        const html = fs.readFileSync(INDEX_FILE, 'utf8');
+        const updated = updateIndexHtml(html, renderSiteBlock());
+
+        if (args.includes('--check')) {
+            if (updated !== html) {
+                console.error('index.html structured data is out of date; run node scripts/build-structured-data.js');
+                process.exitCode = 1;
+            } else {
+                console.log('index.html structured data is up to date.');
+            }
+            return;
+        }
+
+        fs.writeFileSync(INDEX_FILE, updated);
+        console.log('Wrote structured data to index.html');
+    } catch (error) {
+        console.error(`build-structured-data: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { renderSiteBlock, updateIndexHtml };
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Contact form stand-in server
+ * Accepts the POSTs sent by the "json" and "form" contact adapters and prints
+ * each message, so the form can be tried without a real backend. Point
+ * config.json "contactForm.endpoint" at http://localhost:8787/contact.
+ *
+ * Usage:
+ *   node scripts/contact-server.js [--port 8787] [--status 200] [--delay 0]
+ */
+
+const http = require('http');
+const { URLSearchParams } = require('url');
+
+const USAGE = `Usage: node scripts/contact-server.js [options]
+
+  --port <n>     Port to listen on (default: 8787)
+  --status <n>   HTTP status to answer with, e.g. 500 to test errors (default: 200)
+  --delay <ms>   Wait before answering, to see the sending state (default: 0)
+  --help         Show this message`;
+
+// ===== ARGUMENTS =====
+function parseArgs(argv) {
+    const options = { port: 8787, status: 200, delay: 0, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (['--port', '--status', '--delay'].includes(arg)) {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${arg} needs a whole number`);
+            }
+            options[arg.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// ===== SERVER =====
+function parseBody(body, contentType) {
+    if ((contentType || '').includes('application/json')) {
+        return JSON.parse(body);
+    }
+    return Object.fromEntries(new URLSearchParams(body));
+}
+
+function createContactServer(options) {
+    return http.createServer((request, response) => {
+        // The site is usually served from another port
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        if (request.method !== 'POST') {
+            response.writeHead(405, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Only POST is supported' }));
+            return;
+        }
+
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            let fields;
+            try {
+                fields = parseBody(body, request.headers['content-type']);
+            } catch (error) {
+                response.writeHead(400, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ error: `Could not parse body (${error.message})` }));
+                return;
+            }
+
+            console.log(`${new Date().toISOString()} ${request.url} (${request.headers['content-type']})`);
+            console.log(JSON.stringify(fields, null, 2));
+
+            setTimeout(() => {
+                response.writeHead(options.status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ ok: options.status < 400 }));
+            }, options.delay);
+        });
+    });
+}
+
+// ===== CLI =====
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        createContactServer(options).listen(options.port, () => {
+            console.log(`Contact stand-in listening on http://localhost:${options.port} (answering ${options.status})`);
+        });
+    } catch (error) {
+        console.error(`contact-server: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createContactServer, parseBody };
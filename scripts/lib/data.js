@@ -0,0 +1,34 @@
+/**
+ * Site data access for the Node build scripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { absoluteUrl } = require('../../script.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+// Reads a JSON file given relative to the repository root (or absolute)
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, file), 'utf8'));
+}
+
+function loadConfig() {
+    return readJson('data/config.json');
+}
+
+// Writes a generated file relative to the repository root (or absolute)
+function writeOutput(file, contents) {
+    const outputPath = path.resolve(ROOT_DIR, file);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, contents);
+    return outputPath;
+}
+
+module.exports = {
+    ROOT_DIR,
+    readJson,
+    loadConfig,
+    absoluteUrl,
+    writeOutput
+};
@@ -0,0 +1,63 @@
+/**
+ * Blog post source for the Node build scripts
+ * Reads blogs/blogs.json and the post files next to it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { blogSlug, isBlogPostFile, isPostPublished, parseBlogPost } = require('../../script.js');
+const { ROOT_DIR } = require('./data');
+
+const BLOGS_DIR = path.join(ROOT_DIR, 'blogs');
+const BLOG_PAGES_DIR = path.join(ROOT_DIR, 'blogpages');
+const MANIFEST_FILE = 'blogs.json';
+
+// ===== DISCOVERY =====
+// Mirrors discoverBlogFiles() in script.js: every post file in blogs/
+// (JSON or Markdown) is published, ordered by the manifest first and then
+// by file name.
+function listPostFiles() {
+    const onDisk = fs.readdirSync(BLOGS_DIR)
+        .filter(name => isBlogPostFile(name))
+        .sort();
+
+    const manifest = readManifest();
+    const ordered = manifest
+        .map(entry => isBlogPostFile(entry) ? entry : `${entry}.json`)
+        .filter(name => onDisk.includes(name));
+
+    return [...new Set([...ordered, ...onDisk])];
+}
+
+function readManifest() {
+    const manifestPath = path.join(BLOGS_DIR, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return [];
+
+    const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return Array.isArray(data) ? data : [];
+}
+
+// ===== LOADING =====
+function readPost(file) {
+    const filePath = path.join(BLOGS_DIR, file);
+    return {
+        slug: blogSlug(file),
+        file,
+        data: parseBlogPost(fs.readFileSync(filePath, 'utf8'), file)
+    };
+}
+
+// Drafts and posts scheduled for later are left out unless `preview` is set
+function loadPosts({ preview = false } = {}) {
+    const posts = listPostFiles().map(readPost);
+    return preview ? posts : posts.filter(post => isPostPublished(post.data));
+}
+
+module.exports = {
+    ROOT_DIR,
+    BLOGS_DIR,
+    BLOG_PAGES_DIR,
+    listPostFiles,
+    readPost,
+    loadPosts
+};
@@ -0,0 +1,135 @@
+/**
+ * Repository metadata providers for scripts/build-repo-metadata.js
+ *
+ * A provider is an object with a `name` and an async `fetchRepo(repo)`, where
+ * `repo` is what parseRepoUrl() in script.js returns ({ host, owner, name,
+ * key, url }). It resolves to
+ *
+ *   { stars, languages, lastCommit, license, release }
+ *
+ * (languages most used first, lastCommit as YYYY-MM-DD, any field null when
+ * unknown), or to null for a repository it can't describe, such as one on
+ * another host. It throws when the lookup itself fails.
+ *
+ * Providers are made by factories taking the CLI options; a path to a module
+ * exporting such a factory works in place of a built-in name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./data');
+
+const GITHUB_API_URL = 'https://api.github.com';
+const GITHUB_HOST = 'github.com';
+const LANGUAGE_LIMIT = 3;
+const DEFAULT_FIXTURE_FILE = 'scripts/fixtures/repos.json';
+
+// ===== GITHUB =====
+// Reads the public REST API; set GITHUB_TOKEN to raise the rate limit.
+// `apiUrl` can point at a local stand-in that answers the same paths.
+function createGitHubProvider({ apiUrl = GITHUB_API_URL, token = process.env.GITHUB_TOKEN } = {}) {
+    const base = apiUrl.replace(/\/+$/, '');
+
+    async function request(apiPath, { optional = false } = {}) {
+        const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'portfolio-build' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`${base}${apiPath}`, { headers });
+        if (optional && response.status === 404) return null;
+        if (!response.ok) {
+            const limited = response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0';
+            throw new Error(limited
+                ? 'GitHub API rate limit reached; set GITHUB_TOKEN or try again later'
+                : `GET ${apiPath} answered HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'github',
+        async fetchRepo(repo) {
+            if (repo.host !== GITHUB_HOST) return null;
+
+            const repoPath = `/repos/${encodeURIComponent(repo.owner)}/${encodeURIComponent(repo.name)}`;
+            const info = await request(repoPath, { optional: true });
+            if (!info) return null;
+
+            const [languages, commits, release] = await Promise.all([
+                request(`${repoPath}/languages`),
+                request(`${repoPath}/commits?per_page=1`, { optional: true }),
+                // Repositories without releases answer 404
+                request(`${repoPath}/releases/latest`, { optional: true })
+            ]);
+
+            const lastCommit = commits && commits[0]
+                ? commits[0].commit.committer.date
+                : info.pushed_at;
+
+            return {
+                stars: info.stargazers_count,
+                languages: Object.entries(languages || {})
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, LANGUAGE_LIMIT)
+                    .map(([language]) => language),
+                lastCommit: lastCommit ? lastCommit.slice(0, 10) : null,
+                license: info.license && info.license.spdx_id !== 'NOASSERTION' ? info.license.spdx_id : null,
+                release: release ? release.tag_name : null
+            };
+        }
+    };
+}
+
+// ===== FIXTURE =====
+// Answers from a JSON file keyed like data/repos.json ("github.com/owner/name"),
+// so the build runs offline and gives the same output every time
+function createFixtureProvider({ fixture = DEFAULT_FIXTURE_FILE } = {}) {
+    const fixturePath = path.resolve(ROOT_DIR, fixture);
+    if (!fs.existsSync(fixturePath)) {
+        throw new Error(`fixture file not found: ${path.relative(ROOT_DIR, fixturePath)}`);
+    }
+    const entries = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    return {
+        name: 'fixture',
+        async fetchRepo(repo) {
+            const entry = entries[repo.key];
+            if (!entry) return null;
+
+            return {
+                stars: entry.stars ?? null,
+                languages: entry.languages || [],
+                lastCommit: entry.lastCommit || null,
+                license: entry.license || null,
+                release: entry.release || null
+            };
+        }
+    };
+}
+
+// ===== REGISTRY =====
+const REPO_PROVIDERS = {
+    github: createGitHubProvider,
+    fixture: createFixtureProvider
+};
+
+function createRepoProvider(name, options = {}) {
+    if (REPO_PROVIDERS[name]) {
+        return REPO_PROVIDERS[name](options);
+    }
+    if (name.includes('/') || name.endsWith('.js')) {
+        const factory = require(path.resolve(process.cwd(), name));
+        const provider = typeof factory === 'function' ? factory(options) : factory;
+        if (!provider || typeof provider.fetchRepo !== 'function') {
+            throw new Error(`${name} does not export a provider factory`);
+        }
+        return provider;
+    }
+    throw new Error(`Unknown provider "${name}"; use ${Object.keys(REPO_PROVIDERS).join(', ')} or a path to a module`);
+}
+
+module.exports = {
+    REPO_PROVIDERS,
+    createRepoProvider,
+    createGitHubProvider,
+    createFixtureProvider
+};
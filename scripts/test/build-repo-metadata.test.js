@@ -0,0 +1,202 @@
+/**
+ * Tests for scripts/build-repo-metadata.js and its providers. Everything runs
+ * offline: the fixture provider reads scripts/fixtures/repos.json and the
+ * GitHub provider talks to a local stand-in server.
+ *
+ *   node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { parseRepoUrl } = require('../../script.js');
+const { ROOT_DIR, readJson } = require('../lib/data');
+const { buildRepoMetadata, listProjectRepos, isFresh } = require('../build-repo-metadata');
+
+const SCRIPT = path.join(ROOT_DIR, 'scripts', 'build-repo-metadata.js');
+const FIXTURE = readJson('scripts/fixtures/repos.json');
+const PROJECT_REPOS = listProjectRepos(readJson('data/projects.json'));
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempOutput() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-metadata-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'repos.json');
+}
+
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [SCRIPT, ...args], { cwd: ROOT_DIR, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// Answers like api.github.com for the repositories in data/projects.json.
+// smart-home hits the rate limit and ml-research doesn't exist.
+function startGitHubStandIn() {
+    const server = http.createServer((req, res) => {
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        };
+        const match = req.url.match(/^\/repos\/johndoe\/([^/?]+)(\/[^?]*)?/);
+        if (!match) return send(404, { message: 'Not Found' });
+
+        const [, name, subPath = ''] = match;
+        if (name === 'smart-home') {
+            return send(403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-remaining': '0' });
+        }
+        if (name === 'ml-research') return send(404, { message: 'Not Found' });
+
+        if (subPath === '') {
+            return send(200, { stargazers_count: 42, license: { spdx_id: 'MIT' }, pushed_at: '2024-01-02T00:00:00Z' });
+        }
+        if (subPath === '/languages') return send(200, { CSS: 10, TypeScript: 900, HTML: 50, Shell: 1 });
+        if (subPath === '/commits') return send(200, [{ commit: { committer: { date: '2024-02-03T10:00:00Z' } } }]);
+        if (subPath === '/releases/latest' && name === 'ai-chatbot') return send(200, { tag_name: 'v9.9.9' });
+        return send(404, { message: 'Not Found' });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+// ===== parseRepoUrl =====
+test('parseRepoUrl keys repositories by host, owner and name', () => {
+    assert.deepStrictEqual(parseRepoUrl('https://www.GitHub.com/johndoe/ai-chatbot.git/tree/main'), {
+        host: 'github.com',
+        owner: 'johndoe',
+        name: 'ai-chatbot',
+        key: 'github.com/johndoe/ai-chatbot',
+        url: 'https://github.com/johndoe/ai-chatbot'
+    });
+});
+
+test('parseRepoUrl returns null for URLs it cannot read', () => {
+    ['#', '', 'not a url', 'ftp://github.com/johndoe/repo', 'https://github.com/johndoe', undefined].forEach(value => {
+        assert.strictEqual(parseRepoUrl(value), null, String(value));
+    });
+});
+
+test('listProjectRepos skips projects without a readable repository link', () => {
+    const repos = listProjectRepos([
+        { links: { code: 'https://github.com/johndoe/one' } },
+        { links: { code: '#' } },
+        { links: {} },
+        {},
+        { links: { code: 'https://github.com/johndoe/one/issues' } }
+    ]);
+    assert.deepStrictEqual(repos.map(repo => repo.key), ['github.com/johndoe/one']);
+});
+
+// ===== FIXTURE PROVIDER =====
+test('the fixture provider builds an entry for every project repository', async () => {
+    const output = tempOutput();
+    const now = Date.parse('2024-03-01T00:00:00Z');
+    const { outputPath, summary } = await buildRepoMetadata({ provider: 'fixture', output, now });
+
+    assert.strictEqual(outputPath, output);
+    const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(written.provider, 'fixture');
+
+    const expected = PROJECT_REPOS.filter(repo => FIXTURE[repo.key]);
+    assert.deepStrictEqual(Object.keys(written.repos), expected.map(repo => repo.key));
+    expected.forEach(repo => {
+        const entry = written.repos[repo.key];
+        assert.strictEqual(entry.url, repo.url);
+        assert.strictEqual(entry.stars, FIXTURE[repo.key].stars);
+        assert.deepStrictEqual(entry.languages, FIXTURE[repo.key].languages);
+        assert.strictEqual(entry.fetchedAt, '2024-03-01T00:00:00.000Z');
+    });
+    assert.deepStrictEqual(summary, {
+        fetched: expected.length,
+        cached: 0,
+        skipped: PROJECT_REPOS.length - expected.length,
+        failed: 0
+    });
+});
+
+test('fresh cache entries are reused until --max-age has passed', async () => {
+    const output = tempOutput();
+    const now = Date.parse('2024-03-01T00:00:00Z');
+    await buildRepoMetadata({ provider: 'fixture', output, now });
+
+    const later = await buildRepoMetadata({ provider: 'fixture', output, now: now + 60 * 60 * 1000 });
+    assert.strictEqual(later.summary.fetched, 0);
+    assert.ok(later.summary.cached > 0);
+
+    const expired = await buildRepoMetadata({ provider: 'fixture', output, now: now + 25 * 60 * 60 * 1000 });
+    assert.strictEqual(expired.summary.cached, 0);
+
+    assert.ok(isFresh({ fetchedAt: '2024-03-01T00:00:00Z' }, 24, now + 1000));
+    assert.ok(!isFresh({ fetchedAt: 'yesterday-ish' }, 24, now));
+    assert.ok(!isFresh(undefined, 24, now));
+});
+
+test('an unknown provider is an error', async () => {
+    await assert.rejects(buildRepoMetadata({ provider: 'bitbucket', output: tempOutput() }), /Unknown provider "bitbucket"/);
+});
+
+// ===== GITHUB PROVIDER =====
+test('the github provider reads a stand-in server given with --api-url', async (t) => {
+    const server = await startGitHubStandIn();
+    t.after(() => server.close());
+    const apiUrl = `http://127.0.0.1:${server.address().port}/`;
+    const output = tempOutput();
+
+    const run = await runCli(['--provider', 'github', '--api-url', apiUrl, '--output', output, '--force']);
+    assert.strictEqual(run.code, 0, run.stderr);
+    assert.match(run.stdout, /1 not found, 1 failed/);
+    assert.match(run.stderr, /smart-home: GitHub API rate limit reached/);
+
+    const { provider, repos } = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(provider, 'github');
+    assert.deepStrictEqual(repos['github.com/johndoe/ai-chatbot'], {
+        url: 'https://github.com/johndoe/ai-chatbot',
+        stars: 42,
+        languages: ['TypeScript', 'HTML', 'CSS'],
+        lastCommit: '2024-02-03',
+        license: 'MIT',
+        release: 'v9.9.9',
+        fetchedAt: repos['github.com/johndoe/ai-chatbot'].fetchedAt
+    });
+    assert.strictEqual(repos['github.com/johndoe/ecommerce-platform'].release, null);
+    // 404: not listed; rate limited with nothing cached: not listed either
+    assert.ok(!repos['github.com/johndoe/ml-research']);
+    assert.ok(!repos['github.com/johndoe/smart-home']);
+});
+
+test('a failed lookup keeps the cached entry', async (t) => {
+    const server = await startGitHubStandIn();
+    t.after(() => server.close());
+    t.mock.method(console, 'warn', () => {});
+    const output = tempOutput();
+    const cached = {
+        url: 'https://github.com/johndoe/smart-home',
+        stars: 7,
+        languages: ['Python'],
+        lastCommit: '2021-01-01',
+        license: null,
+        release: null,
+        fetchedAt: '2021-01-01T00:00:00.000Z'
+    };
+    fs.writeFileSync(output, JSON.stringify({ provider: 'github', repos: { 'github.com/johndoe/smart-home': cached } }));
+
+    const { summary } = await buildRepoMetadata({
+        provider: 'github',
+        apiUrl: `http://127.0.0.1:${server.address().port}`,
+        output
+    });
+
+    assert.strictEqual(summary.failed, 1);
+    const { repos } = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepStrictEqual(repos['github.com/johndoe/smart-home'], cached);
+});
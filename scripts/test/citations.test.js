@@ -0,0 +1,55 @@
+/**
+ * Tests for the publication citation helpers in script.js.
+ *
+ *   node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAuthorList, formatCitations } = require('../../script.js');
+
+const SMITH_LEE_DOE = [
+    { given: 'Jane', family: 'Smith' },
+    { given: 'Bob', family: 'Lee' },
+    { given: 'John', family: 'Doe' }
+];
+
+test('parseAuthorList splits comma-separated authors and drops honorifics', () => {
+    assert.deepStrictEqual(parseAuthorList('John Doe, Dr. Michael Johnson, Prof. Robert Chen'), [
+        { given: 'John', family: 'Doe' },
+        { given: 'Michael', family: 'Johnson' },
+        { given: 'Robert', family: 'Chen' }
+    ]);
+});
+
+test('parseAuthorList splits "A, B and C" and "A and B"', () => {
+    assert.deepStrictEqual(parseAuthorList('Jane Smith, Bob Lee and John Doe'), SMITH_LEE_DOE);
+    assert.deepStrictEqual(parseAuthorList('Jane Smith and John Doe'), [SMITH_LEE_DOE[0], SMITH_LEE_DOE[2]]);
+});
+
+test('parseAuthorList splits the serial-comma form "A, B, and C"', () => {
+    assert.deepStrictEqual(parseAuthorList('Jane Smith, Bob Lee, and John Doe'), SMITH_LEE_DOE);
+    assert.deepStrictEqual(parseAuthorList('Jane Smith , Bob Lee ,and John Doe'), SMITH_LEE_DOE);
+});
+
+test('parseAuthorList handles a single author and no authors', () => {
+    assert.deepStrictEqual(parseAuthorList('John Doe'), [{ given: 'John', family: 'Doe' }]);
+    assert.deepStrictEqual(parseAuthorList(''), []);
+    assert.deepStrictEqual(parseAuthorList(undefined), []);
+});
+
+test('serial-comma author lists come out right in every citation format', () => {
+    const pub = {
+        title: 'Deep Learning in Practice',
+        authors: 'Jane Smith, Bob Lee, and John Doe',
+        venue: 'Journal of Examples',
+        date: 'July 2023',
+        category: 'journal'
+    };
+
+    assert.match(formatCitations([pub], 'bibtex'), /author = \{Smith, Jane and Lee, Bob and Doe, John\}/);
+    assert.match(formatCitations([pub], 'ris'), /AU {2}- Smith, Jane\nAU {2}- Lee, Bob\nAU {2}- Doe, John/);
+    assert.deepStrictEqual(JSON.parse(formatCitations([pub], 'csl'))[0].author, SMITH_LEE_DOE);
+    assert.match(formatCitations([pub], 'apa'), /^Smith, J\., Lee, B\., & Doe, J\. \(2023\)/);
+    assert.match(formatCitations([pub], 'ieee'), /^J\. Smith, B\. Lee, and J\. Doe,/);
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the contact form's "json" and "form" adapters, sent to the local
+ * stand-in in scripts/contact-server.js.
+ *
+ *   node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONTACT_FORM_DEFAULTS,
+    postContactForm,
+    sendContactForm,
+    saveContactDraft,
+    readContactDraft
+} = require('../../script.js');
+const { createContactServer } = require('../contact-server');
+
+const FIELDS = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    subject: 'Hello & welcome',
+    message: 'A message with ümlauts, "quotes" and a + sign.'
+};
+
+// The browser's localStorage, for the draft and rate limit bookkeeping
+function useMemoryStorage(t) {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    t.after(() => {
+        delete global.localStorage;
+    });
+}
+
+// Storage as in a browser that blocks it: every call throws
+function useBlockedStorage(t) {
+    const blocked = () => {
+        throw new Error('SecurityError: storage is disabled');
+    };
+    global.localStorage = { getItem: blocked, setItem: blocked, removeItem: blocked };
+    t.after(() => {
+        delete global.localStorage;
+    });
+}
+
+// Starts the stand-in and returns contact settings pointing at it, plus the
+// content type of each POST and the fields the stand-in printed for it
+async function startStandIn(t, status) {
+    const received = [];
+    const server = createContactServer({ status, delay: 0 });
+    server.on('request', request => {
+        if (request.method === 'POST') received.push({ contentType: request.headers['content-type'] });
+    });
+    t.mock.method(console, 'log', text => {
+        if (typeof text === 'string' && text.startsWith('{')) received[received.length - 1].fields = JSON.parse(text);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const settings = {
+        ...CONTACT_FORM_DEFAULTS,
+        endpoint: `http://127.0.0.1:${server.address().port}/contact`
+    };
+    return { settings, received };
+}
+
+['json', 'form'].forEach(adapter => {
+    test(`the ${adapter} adapter reports success and clears the draft`, async (t) => {
+        useMemoryStorage(t);
+        const { settings, received } = await startStandIn(t, 200);
+        saveContactDraft(FIELDS);
+
+        const result = await sendContactForm(FIELDS, { ...settings, adapter });
+
+        assert.deepStrictEqual(result, { messageKey: 'form.sent', reset: true });
+        assert.strictEqual(readContactDraft(), null);
+        assert.strictEqual(received.length, 1);
+        assert.match(received[0].contentType, adapter === 'json' ? /^application\/json/ : /^application\/x-www-form-urlencoded/);
+        assert.deepStrictEqual(received[0].fields, FIELDS);
+    });
+
+    test(`the ${adapter} adapter rejects on an error status and keeps the draft`, async (t) => {
+        useMemoryStorage(t);
+        const { settings } = await startStandIn(t, 500);
+        saveContactDraft(FIELDS);
+
+        await assert.rejects(sendContactForm(FIELDS, { ...settings, adapter }), /answered HTTP 500/);
+
+        assert.deepStrictEqual(readContactDraft().fields, FIELDS);
+    });
+});
+
+test('postContactForm returns the success message for a 2xx answer', async (t) => {
+    const { settings } = await startStandIn(t, 200);
+    const result = await postContactForm(settings, JSON.stringify(FIELDS), 'application/json');
+    assert.deepStrictEqual(result, { messageKey: 'form.sent', reset: true });
+});
+
+test('postContactForm throws for an error answer', async (t) => {
+    const { settings } = await startStandIn(t, 500);
+    await assert.rejects(
+        postContactForm(settings, JSON.stringify(FIELDS), 'application/json'),
+        new RegExp(`${settings.endpoint} answered HTTP 500`)
+    );
+});
+
+test('a sent message counts as sent even when storage is blocked', async (t) => {
+    useBlockedStorage(t);
+    const { settings, received } = await startStandIn(t, 200);
+
+    const result = await sendContactForm(FIELDS, { ...settings, adapter: 'json' });
+
+    assert.deepStrictEqual(result, { messageKey: 'form.sent', reset: true });
+    assert.strictEqual(received.length, 1);
+});
+
+test('drafts are skipped quietly when storage is blocked', (t) => {
+    useBlockedStorage(t);
+    assert.doesNotThrow(() => saveContactDraft(FIELDS));
+    assert.doesNotThrow(() => saveContactDraft({}));
+    assert.strictEqual(readContactDraft(), null);
+});
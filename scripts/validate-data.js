@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Data validator
+ * Checks data/*.json, the translated data/<locale>/*.json overrides, every
+ * blog post and the generated data/repos.json (when there is one) against the
+ * schemas in schemas/ and prints one line per problem:
+ * "<file>: <JSON path>: <reason>"
+ *
+ * Usage:
+ *   node scripts/validate-data.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DATA_SCHEMAS,
+    BLOG_POST_SCHEMA,
+    REPO_METADATA_FILE,
+    REPO_METADATA_SCHEMA,
+    validateDataFile,
+    formatValidationError,
+    mergeLocalizedData
+} = require('../script.js');
+const { ROOT_DIR, readJson } = require('./lib/data');
+const { listPostFiles, readPost } = require('./lib/posts');
+
+// ===== LOADING =====
+// Wraps a read so a missing or malformed file becomes a reported error
+function tryRead(file, read) {
+    try {
+        return { value: read() };
+    } catch (error) {
+        const message = error.code === 'ENOENT' ? 'file not found' : `could not be parsed (${error.message})`;
+        return { error: { file, path: '$', message } };
+    }
+}
+
+// data/<locale>/ directories hold the translated overrides
+function listLocaleDirs() {
+    return fs.readdirSync(path.join(ROOT_DIR, 'data'), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+}
+
+// ===== VALIDATION =====
+function validateAll() {
+    const errors = [];
+    const locales = listLocaleDirs();
+
+    Object.entries(DATA_SCHEMAS).forEach(([file, schemaFile]) => {
+        const data = tryRead(file, () => readJson(file));
+        if (data.error) {
+            errors.push(data.error);
+            return;
+        }
+        const schema = readJson(schemaFile);
+        errors.push(...validateDataFile(file, data.value, schema));
+
+        // Overrides are partial, so check them the way the site sees them:
+        // merged over the default file
+        locales.forEach(locale => {
+            const localizedFile = file.replace(/^data\//, `data/${locale}/`);
+            if (!fs.existsSync(path.join(ROOT_DIR, localizedFile))) return;
+
+            const localized = tryRead(localizedFile, () => readJson(localizedFile));
+            if (localized.error) {
+                errors.push(localized.error);
+                return;
+            }
+            errors.push(...validateDataFile(localizedFile, mergeLocalizedData(data.value, localized.value), schema));
+        });
+    });
+
+    const postSchema = readJson(BLOG_POST_SCHEMA);
+    listPostFiles().forEach(postFile => {
+        const file = `blogs/${postFile}`;
+        const post = tryRead(file, () => readPost(postFile));
+        if (post.error) {
+            errors.push(post.error);
+            return;
+        }
+        errors.push(...validateDataFile(file, post.value.data, postSchema));
+    });
+
+    // Optional: only there once scripts/build-repo-metadata.js has run
+    if (fs.existsSync(path.join(ROOT_DIR, REPO_METADATA_FILE))) {
+        const repos = tryRead(REPO_METADATA_FILE, () => readJson(REPO_METADATA_FILE));
+        if (repos.error) {
+            errors.push(repos.error);
+        } else {
+            errors.push(...validateDataFile(REPO_METADATA_FILE, repos.value, readJson(REPO_METADATA_SCHEMA)));
+        }
+    }
+
+    return errors;
+}
+
+// ===== CLI =====
+function main() {
+    const errors = validateAll();
+
+    if (errors.length === 0) {
+        console.log('All data files are valid.');
+        return;
+    }
+
+    errors.forEach(error => console.error(formatValidationError(error)));
+    console.error(`\n${errors.length} ${errors.length === 1 ? 'error' : 'errors'} found.`);
+    process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validateAll };
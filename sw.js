@@ -0,0 +1,134 @@
+/**
+ * Service Worker
+ * Precaches the site shell and data so the portfolio keeps working offline.
+ * Every other same-origin request (blog posts, blogpages/, translations) is
+ * cached the first time it is fetched. Cached responses are served
+ * stale-while-revalidate: the saved copy answers at once and a fresh copy
+ * is fetched in the background for the next visit.
+ *
+ * Bump CACHE_VERSION whenever PRECACHE_URLS changes.
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `portfolio-${CACHE_VERSION}`;
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'theme.js',
+    'script.js',
+    'data/config.json',
+    'data/education.json',
+    'data/experience.json',
+    'data/projects.json',
+    'data/publications.json',
+    'data/repos.json',
+    'locales/en.json'
+];
+
+// Build output a deploy may leave out; a missing one mustn't stop the install
+const OPTIONAL_PRECACHE_URLS = ['data/repos.json'];
+
+// The page is told when one of these comes back different from the cache
+const CONTENT_PATTERN = /\/(data|blogs|locales)\/.+\.(json|md)$/;
+
+// ===== LIFECYCLE =====
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all([
+            cache.addAll(PRECACHE_URLS.filter(url => !OPTIONAL_PRECACHE_URLS.includes(url))),
+            ...OPTIONAL_PRECACHE_URLS.map(url => precacheOptional(cache, url))
+        ]))
+    );
+});
+
+// Its 404 is kept too, so the page sees "no file" offline as it does online
+async function precacheOptional(cache, url) {
+    try {
+        const response = await fetch(url);
+        if (isCacheable(response)) await cache.put(url, response);
+    } catch (error) {
+        // Cached the first time it loads instead
+    }
+}
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('portfolio-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// An updated worker waits until the visitor accepts the reload prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// ===== FETCH =====
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const cacheKey = getCacheKey(request);
+    const cached = await cache.match(cacheKey);
+    const previous = cached && cached.clone();
+
+    const refresh = fetch(request).then(async response => {
+        if (isCacheable(response)) {
+            if (previous && CONTENT_PATTERN.test(new URL(request.url).pathname)) {
+                await notifyIfChanged(previous, response.clone(), request.url);
+            }
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Keep the worker alive until the background refresh is stored
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch (error) {
+        return new Response('You are offline and this page has not been saved yet.', {
+            status: 503,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+        });
+    }
+}
+
+// Pages are cached once per path; ?lang=de, ?dev=1 and friends are read by
+// script.js, not the server
+function getCacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+
+    const url = new URL(request.url);
+    return `${url.origin}${url.pathname}`;
+}
+
+// A 404 is kept too: data/<locale>/ files that don't exist should keep
+// falling back to data/ while offline
+function isCacheable(response) {
+    return response.type === 'basic' && (response.ok || response.status === 404);
+}
+
+async function notifyIfChanged(previous, fresh, url) {
+    const [before, after] = await Promise.all([previous.text(), fresh.text()]);
+    if (before === after) return;
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'content-updated', url }));
+}
@@ -0,0 +1,169 @@
+/**
+ * Theme
+ * Shared by the homepage and the generated blog pages. Loaded in <head>
+ * before the stylesheet so the saved theme is on <html> before first paint.
+ *
+ * A theme choice is "light", "dark", "system" (follow the OS setting, live)
+ * or the name of a palette from config.json "theme.palettes". A palette is a
+ * light or dark base plus CSS variable overrides; the chosen one is cached in
+ * localStorage so it too can be applied before the config has loaded.
+ */
+
+const THEME_STORAGE_KEY = 'theme';
+const THEME_PALETTE_STORAGE_KEY = 'themePalette';
+const THEME_DEFAULT_STORAGE_KEY = 'themeDefault';
+const THEME_MODES = ['light', 'dark', 'system'];
+const THEME_ICONS = { light: '☀️', dark: '🌙', system: '🖥️', palette: '🎨' };
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+let themePalettes = {};
+let activeThemeChoice = 'system';
+let appliedPaletteVariables = [];
+
+// ===== STORAGE =====
+// localStorage throws in some privacy modes; the theme then lasts one page
+function readThemeStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeThemeStorage(key, value) {
+    try {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+    } catch (error) {
+        // Not persisted
+    }
+}
+
+function readCachedPalette() {
+    try {
+        return JSON.parse(readThemeStorage(THEME_PALETTE_STORAGE_KEY)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ===== RESOLVING =====
+function getThemeChoice() {
+    return readThemeStorage(THEME_STORAGE_KEY) || readThemeStorage(THEME_DEFAULT_STORAGE_KEY) || 'system';
+}
+
+function getThemeChoices() {
+    return [...THEME_MODES, ...Object.keys(themePalettes)];
+}
+
+function findPalette(choice) {
+    if (themePalettes[choice]) return { name: choice, ...themePalettes[choice] };
+
+    const cached = readCachedPalette();
+    return cached && cached.name === choice ? cached : null;
+}
+
+function systemPrefersDark() {
+    return Boolean(window.matchMedia && window.matchMedia(DARK_SCHEME_QUERY).matches);
+}
+
+// ===== APPLYING =====
+function applyTheme(choice = getThemeChoice()) {
+    const root = document.documentElement;
+    const palette = THEME_MODES.includes(choice) ? null : findPalette(choice);
+    // A palette that no longer exists falls back to following the system
+    activeThemeChoice = (palette || THEME_MODES.includes(choice)) ? choice : 'system';
+    const mode = palette ? (palette.base === 'dark' ? 'dark' : 'light') : activeThemeChoice;
+    const scheme = mode === 'system' ? (systemPrefersDark() ? 'dark' : 'light') : mode;
+
+    appliedPaletteVariables.forEach(name => root.style.removeProperty(name));
+    appliedPaletteVariables = [];
+    if (palette) {
+        Object.entries(palette.colors || {}).forEach(([name, value]) => {
+            const variable = `--${name.replace(/^--/, '')}`;
+            root.style.setProperty(variable, value);
+            appliedPaletteVariables.push(variable);
+        });
+    }
+
+    root.setAttribute('data-theme', scheme);
+    root.style.colorScheme = scheme;
+
+    document.dispatchEvent(new CustomEvent('themechange', {
+        detail: { choice: activeThemeChoice, scheme }
+    }));
+}
+
+function setThemeChoice(choice) {
+    writeThemeStorage(THEME_STORAGE_KEY, choice);
+
+    const palette = THEME_MODES.includes(choice) ? null : findPalette(choice);
+    writeThemeStorage(THEME_PALETTE_STORAGE_KEY, palette ? JSON.stringify(palette) : null);
+
+    applyTheme(choice);
+}
+
+// Called with config.json "theme" once it is available
+function setThemeOptions(options = {}) {
+    themePalettes = options.palettes || {};
+    writeThemeStorage(THEME_DEFAULT_STORAGE_KEY, options.default || null);
+
+    // Refresh the cached palette in case its colors changed
+    const choice = getThemeChoice();
+    if (themePalettes[choice]) {
+        writeThemeStorage(THEME_PALETTE_STORAGE_KEY, JSON.stringify({ name: choice, ...themePalettes[choice] }));
+    }
+    applyTheme(choice);
+}
+
+// ===== TOGGLE BUTTON =====
+// Each click moves to the next choice. `describe(choice, next)` labels the
+// button; pages without translations get the English names.
+function bindThemeToggle(button, describe = describeThemeChoice) {
+    if (!button) return;
+    const icon = button.querySelector('.theme-icon');
+
+    const nextChoice = () => {
+        const choices = getThemeChoices();
+        return choices[(choices.indexOf(activeThemeChoice) + 1) % choices.length];
+    };
+    const update = () => {
+        const label = describe(activeThemeChoice, nextChoice());
+        if (icon) icon.textContent = THEME_ICONS[activeThemeChoice] || THEME_ICONS.palette;
+        button.setAttribute('aria-label', label);
+        button.setAttribute('title', label);
+    };
+
+    button.addEventListener('click', () => setThemeChoice(nextChoice()));
+    document.addEventListener('themechange', update);
+    update();
+}
+
+function themeChoiceName(choice) {
+    if (themePalettes[choice]) return themePalettes[choice].label || choice;
+    return { light: 'Light', dark: 'Dark', system: 'System' }[choice] || choice;
+}
+
+function describeThemeChoice(choice, next) {
+    return `Theme: ${themeChoiceName(choice)}. Switch to ${themeChoiceName(next)}`;
+}
+
+// ===== BOOT =====
+if (typeof document !== 'undefined') {
+    applyTheme();
+
+    if (window.matchMedia) {
+        const query = window.matchMedia(DARK_SCHEME_QUERY);
+        const onSystemChange = () => {
+            if (activeThemeChoice === 'system') applyTheme();
+        };
+        if (query.addEventListener) {
+            query.addEventListener('change', onSystemChange);
+        } else if (query.addListener) {
+            query.addListener(onSystemChange);
+        }
+    }
+}